@@ -1,26 +1,30 @@
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { verifyAccessToken, verifyCartToken } from '../services/tokens.js';
+
+// Bearer token from the Authorization header, if any
+const getBearerToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
 
 // Protect routes - require authentication
 export const protect = async (req, res, next) => {
   try {
-    let token;
-
-    // Check for token in header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+    const token = getBearerToken(req);
 
     if (!token) {
       return res.status(401).json({ message: 'Not authorized, no token' });
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Verify token and its session
+      const { userId, sessionId } = await verifyAccessToken(token);
       
       // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
+      req.user = await User.findById(userId).select('-password');
+      req.sessionId = sessionId;
       
       if (!req.user) {
         return res.status(401).json({ message: 'Not authorized, user not found' });
@@ -28,7 +32,7 @@ export const protect = async (req, res, next) => {
 
       next();
     } catch (error) {
-      return res.status(401).json({ message: 'Not authorized, token failed' });
+      return res.status(401).json({ message: error.statusCode === 401 ? error.message : 'Not authorized, token failed' });
     }
   } catch (error) {
     res.status(500).json({ message: 'Server error in auth middleware' });
@@ -50,14 +54,13 @@ export const restrictTo = (...roles) => {
 // Optional auth - doesn't require token but adds user if present
 export const optionalAuth = async (req, res, next) => {
   try {
-    let token;
+    const token = getBearerToken(req);
 
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-      
+    if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = await User.findById(decoded.id).select('-password');
+        const { userId, sessionId } = await verifyAccessToken(token);
+        req.user = await User.findById(userId).select('-password');
+        req.sessionId = sessionId;
       } catch (error) {
         // Token invalid, but continue without user
         req.user = null;
@@ -69,3 +72,28 @@ export const optionalAuth = async (req, res, next) => {
     next();
   }
 };
+
+// Event streams: EventSource can't set headers, so the access token may come as ?token=
+export const protectEventStream = (req, res, next) => {
+  if (!getBearerToken(req) && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  return protect(req, res, next);
+};
+
+// Cart routes: a signed-in user (Authorization header) or a guest (X-Cart-Token header).
+// Requests with neither carry on without an owner and the route decides what to do.
+export const cartOwner = (req, res, next) => {
+  if (getBearerToken(req)) {
+    return protect(req, res, next);
+  }
+
+  const cartToken = req.headers['x-cart-token'];
+  if (cartToken) {
+    req.guestId = verifyCartToken(cartToken);
+    if (!req.guestId) {
+      return res.status(401).json({ message: 'Cart token is invalid or has expired' });
+    }
+  }
+  next();
+};
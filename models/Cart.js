@@ -1,12 +1,29 @@
 import mongoose from 'mongoose';
 
+// Most units of one product (and variant combination) a cart line can hold
+export const MAX_LINE_QUANTITY = 50;
+
+// Read lazily so values from .env are picked up after dotenv has run
+const getGuestCartDays = () => parseInt(process.env.GUEST_CART_DAYS) || 30;
+
 const cartSchema = new mongoose.Schema({
+  // A cart belongs to a user, or to a guest holding a cart token for guestId
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    unique: true,
+    sparse: true
+  },
+  guestId: {
+    type: String,
+    unique: true,
+    sparse: true
   },
+  // Guest carts are removed once untouched this long; user carts never expire
+  expiresAt: Date,
+  // Last abandoned-cart reminder; saved without touching updatedAt, so any later change
+  // to the cart makes it eligible for another one
+  reminderSentAt: Date,
   items: [{
     product: {
       type: mongoose.Schema.Types.ObjectId,
@@ -17,18 +34,48 @@ const cartSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: 1,
-      max: 50
+      max: MAX_LINE_QUANTITY
     },
-    variant: {
-      color: String,
-      size: String,
-      other: mongoose.Schema.Types.Mixed
+    // Variant combination on the product, for products sold in combinations
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
     },
+    // Unit price when the line was added, to warn the buyer if it has changed since
+    priceAtAdd: Number,
     addedAt: {
       type: Date,
       default: Date.now
     }
   }],
+  // Lines moved out of the cart to buy later; they don't count toward the totals
+  savedForLater: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: MAX_LINE_QUANTITY
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    savedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Applied with POST /api/cart/apply-coupon and re-checked at checkout
+  couponCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
   totalItems: {
     type: Number,
     default: 0
@@ -41,54 +88,64 @@ const cartSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Index for better performance
-cartSchema.index({ user: 1 });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+cartSchema.index({ updatedAt: 1 });
+
+cartSchema.pre('validate', function(next) {
+  if (!this.user && !this.guestId) {
+    this.invalidate('user', 'A cart needs a user or a guest id');
+  }
+  next();
+});
 
 // Calculate totals before saving
 cartSchema.pre('save', async function(next) {
+  if (this.guestId) {
+    this.expiresAt = new Date(Date.now() + getGuestCartDays() * 24 * 60 * 60 * 1000);
+  }
+
   if (this.isModified('items')) {
     await this.populate('items.product');
     
     this.totalItems = this.items.reduce((total, item) => total + item.quantity, 0);
     this.totalPrice = this.items.reduce((total, item) => {
-      return total + (item.product.price * item.quantity);
+      // Lines for deleted products count for nothing
+      if (!item.product) return total;
+      return total + (item.product.getPriceFor(item.variantId) * item.quantity);
     }, 0);
   }
   next();
 });
 
-// Method to add item to cart
-cartSchema.methods.addItem = function(productId, quantity = 1, variant = {}) {
-  const existingItemIndex = this.items.findIndex(
-    item => item.product.toString() === productId.toString() && 
-    JSON.stringify(item.variant) === JSON.stringify(variant)
-  );
+// Lines are the same when product and variant combination match
+const isSameLine = (item, productId, variantId) =>
+  item.product.toString() === productId.toString() &&
+  String(item.variantId || '') === String(variantId || '');
+
+// Method to add item to cart; price is the current unit price, kept on new lines
+cartSchema.methods.addItem = function(productId, quantity = 1, variantId = null, price) {
+  const existingItem = this.items.find(item => isSameLine(item, productId, variantId));
 
-  if (existingItemIndex > -1) {
-    this.items[existingItemIndex].quantity += quantity;
+  if (existingItem) {
+    existingItem.quantity = Math.min(existingItem.quantity + quantity, MAX_LINE_QUANTITY);
   } else {
     this.items.push({
       product: productId,
       quantity,
-      variant
+      variantId,
+      priceAtAdd: price
     });
   }
 };
 
 // Method to remove item from cart
-cartSchema.methods.removeItem = function(productId, variant = {}) {
-  this.items = this.items.filter(
-    item => !(item.product.toString() === productId.toString() && 
-    JSON.stringify(item.variant) === JSON.stringify(variant))
-  );
+cartSchema.methods.removeItem = function(productId, variantId = null) {
+  this.items = this.items.filter(item => !isSameLine(item, productId, variantId));
 };
 
 // Method to update item quantity
-cartSchema.methods.updateQuantity = function(productId, quantity, variant = {}) {
-  const itemIndex = this.items.findIndex(
-    item => item.product.toString() === productId.toString() && 
-    JSON.stringify(item.variant) === JSON.stringify(variant)
-  );
+cartSchema.methods.updateQuantity = function(productId, quantity, variantId = null) {
+  const itemIndex = this.items.findIndex(item => isSameLine(item, productId, variantId));
 
   if (itemIndex > -1) {
     if (quantity <= 0) {
@@ -99,9 +156,45 @@ cartSchema.methods.updateQuantity = function(productId, quantity, variant = {})
   }
 };
 
+// Quantity of a line already in the cart
+cartSchema.methods.getQuantity = function(productId, variantId = null) {
+  return this.items.find(item => isSameLine(item, productId, variantId))?.quantity || 0;
+};
+
+// Move a line to the saved-for-later list, merging with one already saved; returns false if not in the cart
+cartSchema.methods.saveForLater = function(productId, variantId = null) {
+  const item = this.items.find(line => isSameLine(line, productId, variantId));
+  if (!item) return false;
+
+  const saved = this.savedForLater.find(line => isSameLine(line, productId, variantId));
+  if (saved) {
+    saved.quantity = Math.min(saved.quantity + item.quantity, MAX_LINE_QUANTITY);
+  } else {
+    this.savedForLater.push({ product: productId, quantity: item.quantity, variantId });
+  }
+  this.removeItem(productId, variantId);
+  return true;
+};
+
+// Saved line for a product, if there is one
+cartSchema.methods.getSavedLine = function(productId, variantId = null) {
+  return this.savedForLater.find(line => isSameLine(line, productId, variantId));
+};
+
+// Move a saved line back into the cart at the current price; the caller checks stock first
+cartSchema.methods.moveToCart = function(productId, variantId = null, price) {
+  const saved = this.getSavedLine(productId, variantId);
+  if (!saved) return false;
+
+  this.addItem(productId, saved.quantity, variantId, price);
+  this.savedForLater = this.savedForLater.filter(line => !isSameLine(line, productId, variantId));
+  return true;
+};
+
 // Method to clear cart
 cartSchema.methods.clearCart = function() {
   this.items = [];
+  this.couponCode = undefined;
   this.totalItems = 0;
   this.totalPrice = 0;
 };
@@ -0,0 +1,139 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_shipping'],
+    required: [true, 'Coupon type is required']
+  },
+  // Percentage (0-100) or naira amount; unused for free shipping
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Value cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.type !== 'percentage' || (value >= 1 && value <= 100);
+      },
+      message: 'Percentage must be between 1 and 100'
+    }
+  },
+  // Cap on a percentage discount
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  minSpend: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum spend cannot be negative']
+  },
+  startsAt: Date,
+  endsAt: Date,
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  // Owning seller; null for platform-wide coupons created by admins
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Empty lists mean no restriction on that dimension
+  appliesTo: {
+    sellers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    stores: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store'
+    }],
+    categories: [String],
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }]
+  },
+  redemptions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    discount: Number,
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Offered in abandoned-cart reminders to buyers with the seller's products in their cart
+  cartRecovery: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+couponSchema.index({ seller: 1, createdAt: -1 });
+couponSchema.index({ 'redemptions.user': 1 });
+couponSchema.index({ seller: 1, cartRecovery: 1 });
+
+// Whether an order line (with populated product) falls within the coupon's scope
+couponSchema.methods.appliesToLine = function(line) {
+  const { sellers, stores, categories, products } = this.appliesTo;
+  const product = line.product;
+  const includes = (ids, id) => ids.some(value => id && value.toString() === id.toString());
+
+  if (this.seller && this.seller.toString() !== product.seller.toString()) return false;
+  if (sellers.length > 0 && !includes(sellers, product.seller)) return false;
+  if (stores.length > 0 && !includes(stores, product.store)) return false;
+  if (categories.length > 0 && !categories.includes(product.category)) return false;
+  if (products.length > 0 && !includes(products, product._id)) return false;
+  return true;
+};
+
+// Number of times a user has redeemed this coupon
+couponSchema.methods.redemptionsBy = function(userId) {
+  return this.redemptions.filter(redemption => redemption.user.toString() === userId.toString()).length;
+};
+
+export default mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Real-time events on their way to Server-Sent Events clients. A capped collection
+// keeps insertion order and drops the oldest entries, and every API process tails it
+// (services/events.js), so events raised anywhere reach every connected client.
+const eventLogSchema = new mongoose.Schema({
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  event: {
+    type: String,
+    required: true
+  },
+  data: mongoose.Schema.Types.Mixed
+}, {
+  capped: { size: 16 * 1024 * 1024, max: 10000 },
+  versionKey: false
+});
+
+export default mongoose.model('EventLog', eventLogSchema);
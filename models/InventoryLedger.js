@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// One entry per stock movement, written alongside the change itself
+const inventoryLedgerSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'cancel', 'reservation_release', 'return', 'adjustment'],
+    required: true
+  },
+  // Units added (positive) or taken (negative)
+  change: {
+    type: Number,
+    required: true
+  },
+  // Stock left on the product (and the variant combination) after the movement
+  quantityAfter: Number,
+  variantQuantityAfter: Number,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Who caused the movement; empty for automatic ones such as expired holds
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+inventoryLedgerSchema.index({ product: 1, createdAt: -1 });
+inventoryLedgerSchema.index({ order: 1 });
+
+export default mongoose.model('InventoryLedger', inventoryLedgerSchema);
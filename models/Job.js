@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// A unit of background work, run by the worker (worker.js). Failed runs go back
+// to pending with a backoff until maxAttempts, then stay dead for an admin to look at.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'dead'],
+    default: 'pending'
+  },
+  // Earliest time the job may run
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // Recurring jobs are one document, rescheduled this many seconds after each run
+  repeatSeconds: {
+    type: Number,
+    default: null
+  },
+  // Set on recurring jobs so each is only scheduled once across instances
+  key: String,
+  // Worker holding the job, and when it took it; stale locks are taken over
+  lockedBy: String,
+  lockedAt: Date,
+  lastError: String,
+  errorHistory: [{
+    message: String,
+    attempt: Number,
+    failedAt: Date
+  }],
+  completedAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ key: 1 }, { unique: true, sparse: true });
+// Completed one-off jobs are cleaned up after a week
+jobSchema.index({ completedAt: 1 }, {
+  expireAfterSeconds: 7 * 24 * 60 * 60,
+  partialFilterExpression: { status: 'completed' }
+});
+
+export default mongoose.model('Job', jobSchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Event types users can switch on or off in their preferences
+export const NOTIFICATION_TYPES = [
+  'order_placed',
+  'new_order',
+  'first_order',
+  'order_status',
+  'order_cancelled',
+  'new_review',
+  'review_reply',
+  'low_stock',
+  'out_of_stock',
+  'price_drop',
+  'back_in_stock',
+  'cart_reminder'
+];
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: [120, 'Title cannot exceed 120 characters']
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  // Ids the client needs to link to the subject, e.g. { product } or { order }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+export default mongoose.model('Notification', notificationSchema);
@@ -1,5 +1,178 @@
 import mongoose from 'mongoose';
 
+const ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+// How far along each status is; the order sits at its least advanced fulfilment
+const STATUS_PROGRESS = {
+  pending: 0,
+  confirmed: 1,
+  processing: 2,
+  shipped: 3,
+  delivered: 4,
+  returned: 5
+};
+
+// The only status moves an order or fulfilment can make, and the roles allowed to make each.
+// 'system' covers payment webhooks and the returns workflow.
+const STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: ['seller', 'admin', 'system'],
+    cancelled: ['buyer', 'seller', 'admin', 'system']
+  },
+  confirmed: {
+    processing: ['seller', 'admin'],
+    cancelled: ['buyer', 'seller', 'admin', 'system']
+  },
+  processing: {
+    shipped: ['seller', 'admin'],
+    cancelled: ['buyer', 'seller', 'admin']
+  },
+  shipped: {
+    delivered: ['seller', 'admin']
+  },
+  delivered: {
+    returned: ['admin', 'system']
+  },
+  cancelled: {},
+  returned: {}
+};
+
+const timelineEntrySchema = new mongoose.Schema({
+  status: String,
+  message: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// One fulfilment per seller/store on the order, shipped and tracked independently
+const fulfilmentSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    default: null
+  },
+  items: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending'
+  },
+  shippingCost: {
+    type: Number,
+    default: 0
+  },
+  tracking: {
+    trackingNumber: String,
+    carrier: String,
+    estimatedDelivery: Date,
+    shippedAt: Date,
+    deliveredAt: Date
+  },
+  // Buyer's rating of the seller once the fulfilment has been delivered
+  feedback: {
+    deliverySpeed: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    accuracy: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    rating: Number,
+    comment: {
+      type: String,
+      maxlength: [500, 'Feedback cannot exceed 500 characters']
+    },
+    createdAt: Date
+  },
+  timeline: [timelineEntrySchema]
+}, {
+  timestamps: true
+});
+
+// Method to add fulfilment timeline entry
+fulfilmentSchema.methods.addTimelineEntry = function(status, message, updatedBy) {
+  this.timeline.push({
+    status,
+    message,
+    updatedBy
+  });
+  this.status = status;
+
+  if (status === 'shipped' && !this.tracking.shippedAt) {
+    this.tracking.shippedAt = new Date();
+  }
+  if (status === 'delivered' && !this.tracking.deliveredAt) {
+    this.tracking.deliveredAt = new Date();
+  }
+};
+
+// A buyer's request to send back delivered items from one fulfilment
+const returnRequestSchema = new mongoose.Schema({
+  fulfilment: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  reason: {
+    type: String,
+    required: [true, 'Return reason is required'],
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunding', 'refunded'],
+    default: 'requested'
+  },
+  sellerNote: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  refund: {
+    amount: Number,
+    refundId: String,
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed', 'manual']
+    },
+    refundedAt: Date
+  },
+  receivedAt: Date,
+  timeline: [timelineEntrySchema]
+}, {
+  timestamps: true
+});
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -31,11 +204,18 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
-    variant: {
-      color: String,
-      size: String,
-      other: mongoose.Schema.Types.Mixed
-    }
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      default: null
+    },
+    // Variant combination bought, with its options and SKU as they were at checkout
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    sku: String,
+    variant: mongoose.Schema.Types.Mixed
   }],
   shippingAddress: {
     fullName: {
@@ -62,7 +242,12 @@ const orderSchema = new mongoose.Schema({
       type: String,
       default: 'Nigeria'
     },
-    zipCode: String
+    zipCode: String,
+    // Used to match radius-based delivery zones
+    location: {
+      latitude: Number,
+      longitude: Number
+    }
   },
   paymentInfo: {
     method: {
@@ -71,13 +256,42 @@ const orderSchema = new mongoose.Schema({
       required: true
     },
     transactionId: String,
+    // The paid reference once a payment completes, else the latest one issued
     reference: String,
+    // Every reference issued for the order; the buyer may pay in an older checkout
+    references: [String],
     status: {
       type: String,
       enum: ['pending', 'completed', 'failed', 'refunded'],
       default: 'pending'
     },
-    paidAt: Date
+    paidAt: Date,
+    refundedAmount: {
+      type: Number,
+      default: 0
+    }
+  },
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: {
+      type: String
+    },
+    discount: Number
+  },
+  // Stock taken for an online payment is held until the payment succeeds (committed),
+  // or given back when it fails or the hold expires (released)
+  reservation: {
+    status: {
+      type: String,
+      enum: ['held', 'committed', 'released']
+    },
+    expiresAt: Date,
+    committedAt: Date,
+    releasedAt: Date
   },
   pricing: {
     subtotal: {
@@ -101,11 +315,13 @@ const orderSchema = new mongoose.Schema({
       required: true
     }
   },
+  // Derived from the fulfilments once the order has any
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
+    enum: ORDER_STATUSES,
     default: 'pending'
   },
+  fulfilments: [fulfilmentSchema],
   tracking: {
     trackingNumber: String,
     carrier: String,
@@ -118,18 +334,8 @@ const orderSchema = new mongoose.Schema({
     seller: String,
     admin: String
   },
-  timeline: [{
-    status: String,
-    message: String,
-    timestamp: {
-      type: Date,
-      default: Date.now
-    },
-    updatedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    }
-  }]
+  returns: [returnRequestSchema],
+  timeline: [timelineEntrySchema]
 }, {
   timestamps: true
 });
@@ -138,9 +344,13 @@ const orderSchema = new mongoose.Schema({
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ buyer: 1 });
 orderSchema.index({ 'items.seller': 1 });
+orderSchema.index({ 'fulfilments.seller': 1, 'fulfilments.status': 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ 'paymentInfo.status': 1 });
+orderSchema.index({ 'paymentInfo.reference': 1 });
+orderSchema.index({ 'paymentInfo.references': 1 });
+orderSchema.index({ 'reservation.status': 1, 'reservation.expiresAt': 1 });
 
 // Generate order number before validation
 orderSchema.pre('validate', async function(next) {
@@ -157,12 +367,141 @@ orderSchema.pre('validate', async function(next) {
 
 // Method to add timeline entry
 orderSchema.methods.addTimelineEntry = function(status, message, updatedBy) {
+  this.addTimelineNote(status, message, updatedBy);
+  this.status = status;
+};
+
+// Method to record an event (e.g. a return step) in the timeline without changing the order status
+orderSchema.methods.addTimelineNote = function(event, message, updatedBy) {
   this.timeline.push({
-    status,
+    status: event,
     message,
     updatedBy
   });
-  this.status = status;
+};
+
+// Quantity of an order item already covered by returns that were not rejected
+orderSchema.methods.getReturnedQuantity = function(itemId) {
+  return this.returns
+    .filter(returnRequest => returnRequest.status !== 'rejected')
+    .reduce((sum, returnRequest) => sum + returnRequest.items
+      .filter(line => line.item.toString() === itemId.toString())
+      .reduce((lineSum, line) => lineSum + line.quantity, 0), 0);
+};
+
+// Group the order items into one fulfilment per seller/store
+orderSchema.methods.buildFulfilments = function() {
+  const groups = new Map();
+
+  for (const item of this.items) {
+    const key = `${item.seller}:${item.store || ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, { seller: item.seller, store: item.store || null, items: [] });
+    }
+    groups.get(key).items.push(item._id);
+  }
+
+  this.fulfilments = [...groups.values()].map(group => ({
+    ...group,
+    status: this.status,
+    timeline: [{ status: this.status, message: 'Fulfilment created' }]
+  }));
+};
+
+// Fulfilments belonging to a seller
+orderSchema.methods.getSellerFulfilments = function(sellerId) {
+  return this.fulfilments.filter(fulfilment => fulfilment.seller.toString() === sellerId.toString());
+};
+
+// Order items covered by a fulfilment
+orderSchema.methods.getFulfilmentItems = function(fulfilment) {
+  const itemIds = fulfilment.items.map(id => id.toString());
+  return this.items.filter(item => itemIds.includes(item._id.toString()));
+};
+
+// Whether an item for the product has reached the buyer (its fulfilment, or a legacy order, is delivered)
+orderSchema.methods.hasDeliveredProduct = function(productId) {
+  const productItems = this.items.filter(item => item.product.toString() === productId.toString());
+  if (this.fulfilments.length === 0) {
+    return productItems.length > 0 && this.status === 'delivered';
+  }
+
+  return productItems.some(item => this.fulfilments.some(fulfilment =>
+    fulfilment.status === 'delivered' && fulfilment.items.some(id => id.toString() === item._id.toString())
+  ));
+};
+
+// Re-derive the order status from its fulfilments, logging a timeline entry if it moved
+orderSchema.methods.syncStatusFromFulfilments = function(message, updatedBy) {
+  if (this.fulfilments.length === 0) return;
+
+  const active = this.fulfilments.filter(fulfilment => fulfilment.status !== 'cancelled');
+  let status = 'cancelled';
+  if (active.length > 0) {
+    status = active.reduce((least, fulfilment) =>
+      STATUS_PROGRESS[fulfilment.status] < STATUS_PROGRESS[least] ? fulfilment.status : least,
+    active[0].status);
+  }
+
+  if (status !== this.status) {
+    this.addTimelineEntry(status, message || `Order ${status}`, updatedBy);
+  }
+};
+
+// Move the given fulfilments (all of them by default) that are in one of
+// fromStatuses to a new status, as the given role. Every move is checked
+// against STATUS_TRANSITIONS first and nothing changes if any is invalid.
+// Orders from before fulfilments existed move at order level.
+orderSchema.methods.updateFulfilments = function({ status, message, updatedBy, role, fromStatuses, fulfilments }) {
+  const isLegacy = this.fulfilments.length === 0;
+  const targets = (isLegacy ? [this] : fulfilments || this.fulfilments)
+    .filter(target => !fromStatuses || fromStatuses.includes(target.status));
+
+  for (const target of targets) {
+    if (!this.constructor.canTransition(target.status, status, role)) {
+      const error = new Error(`Cannot move ${isLegacy ? 'order' : 'fulfilment'} from ${target.status} to ${status}`);
+      error.statusCode = 409;
+      error.details = {
+        currentStatus: target.status,
+        allowedStatuses: this.constructor.getAllowedTransitions(target.status, role),
+        fulfilment: isLegacy ? undefined : target._id
+      };
+      throw error;
+    }
+  }
+
+  if (isLegacy) {
+    if (targets.length > 0) {
+      this.addTimelineEntry(status, message, updatedBy);
+    }
+    return;
+  }
+
+  for (const fulfilment of targets) {
+    fulfilment.addTimelineEntry(status, message, updatedBy);
+  }
+
+  this.syncStatusFromFulfilments(message, updatedBy);
+};
+
+// Statuses a role may move to from the current one
+orderSchema.statics.getAllowedTransitions = function(from, role) {
+  return Object.entries(STATUS_TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([to]) => to);
+};
+
+orderSchema.statics.canTransition = function(from, to, role) {
+  return Boolean(STATUS_TRANSITIONS[from]?.[to]?.includes(role));
+};
+
+// Role a user plays on this order: admin, the buyer, or a seller with items on it
+orderSchema.methods.getRoleFor = function(user) {
+  if (user.type === 'admin') return 'admin';
+  const userId = (user.id || user._id).toString();
+  if (this.items.some(item => item.seller.toString() === userId)) return 'seller';
+  if (this.buyer.toString() === userId || this.buyer._id?.toString() === userId) return 'buyer';
+  return null;
 };
 
 export default mongoose.model('Order', orderSchema);
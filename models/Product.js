@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { toTrigrams } from '../utils/trigrams.js';
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -50,6 +51,36 @@ const productSchema = new mongoose.Schema({
     name: String, // e.g., "Color", "Size"
     options: [String] // e.g., ["Red", "Blue", "Green"]
   }],
+  // One entry per sellable combination of the variant options above, e.g. Red / XL.
+  // Products with combinations are stocked per combination; inventory.quantity is their total.
+  variantCombinations: [{
+    options: {
+      type: Map,
+      of: String,
+      required: true
+    },
+    // Filled from the combination's _id when not given, see the pre-validate hook
+    sku: String,
+    price: {
+      type: Number,
+      min: [0, 'Price cannot be negative']
+    },
+    inventory: {
+      quantity: {
+        type: Number,
+        default: 0,
+        min: [0, 'Quantity cannot be negative']
+      }
+    },
+    images: [{
+      url: String,
+      alt: String
+    }],
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
   inventory: {
     quantity: {
       type: Number,
@@ -76,6 +107,7 @@ const productSchema = new mongoose.Schema({
     ref: 'Store',
     default: null
   },
+  // Kept in sync with the visible reviews in the Review collection
   rating: {
     average: {
       type: Number,
@@ -88,27 +120,6 @@ const productSchema = new mongoose.Schema({
       default: 0
     }
   },
-  reviews: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    rating: {
-      type: Number,
-      required: true,
-      min: 1,
-      max: 5
-    },
-    comment: {
-      type: String,
-      maxlength: [500, 'Review comment cannot exceed 500 characters']
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
   tags: [String],
   weight: {
     value: Number,
@@ -158,6 +169,11 @@ const productSchema = new mongoose.Schema({
   views: {
     type: Number,
     default: 0
+  },
+  // Trigrams of the name, brand, subcategory and tags, for typo-tolerant search
+  searchGrams: {
+    type: [String],
+    select: false
   }
 }, {
   timestamps: true
@@ -173,6 +189,13 @@ productSchema.index({ price: 1 });
 productSchema.index({ createdAt: -1 });
 productSchema.index({ status: 1 });
 productSchema.index({ featured: -1 });
+// A combination without a SKU would be indexed as null and clash with the next one, so
+// every combination gets a SKU before saving; the filter keeps products without any out
+productSchema.index({ 'variantCombinations.sku': 1 }, {
+  unique: true,
+  partialFilterExpression: { 'variantCombinations.sku': { $type: 'string' } }
+});
+productSchema.index({ searchGrams: 1 });
 
 // Virtual for discount percentage
 productSchema.virtual('discountPercentage').get(function() {
@@ -189,22 +212,113 @@ productSchema.virtual('stockStatus').get(function() {
   return 'in_stock';
 });
 
-// Method to update rating
-productSchema.methods.updateRating = function() {
-  if (this.reviews.length === 0) {
-    this.rating.average = 0;
-    this.rating.count = 0;
-  } else {
-    const totalRating = this.reviews.reduce((sum, review) => sum + review.rating, 0);
-    this.rating.average = Number((totalRating / this.reviews.length).toFixed(1));
-    this.rating.count = this.reviews.length;
-  }
+// Find a variant combination by id
+productSchema.methods.getVariant = function(variantId) {
+  if (!variantId) return null;
+  return this.variantCombinations.id(variantId);
+};
+
+// Price of the product or of one of its combinations
+productSchema.methods.getPriceFor = function(variantId) {
+  return this.getVariant(variantId)?.price ?? this.price;
+};
+
+// Units left of the product or of one of its combinations
+productSchema.methods.getAvailableQuantity = function(variantId) {
+  if (this.variantCombinations.length === 0) return this.inventory.quantity;
+  const variant = this.getVariant(variantId);
+  return variant && variant.isActive ? variant.inventory.quantity : 0;
+};
+
+// Options of a combination as a plain object, e.g. { Color: 'Red', Size: 'XL' }
+productSchema.methods.describeVariant = function(variantId) {
+  const variant = this.getVariant(variantId);
+  return variant ? Object.fromEntries(variant.options) : undefined;
+};
+
+// Trigrams typo-tolerant search matches against
+productSchema.methods.buildSearchGrams = function() {
+  return toTrigrams([this.name, this.brand, this.subcategory, ...(this.tags || [])].join(' '));
+};
+
+// Apply an edited list of combinations. Each one matching an existing combination by
+// _id or SKU is updated in place and keeps its _id, so the variantId held by carts,
+// wishlists, reservations and the ledger stays valid; the rest are added as new, and
+// existing combinations left out of the list are removed.
+productSchema.methods.mergeVariantCombinations = function(incoming) {
+  const matched = new Set();
+  const findExisting = (combination) => {
+    const existing = (combination._id && this.variantCombinations.id(combination._id)) ||
+      (combination.sku && this.variantCombinations.find(candidate => candidate.sku === combination.sku));
+    if (!existing || matched.has(existing._id.toString())) return null;
+    matched.add(existing._id.toString());
+    return existing;
+  };
+
+  this.variantCombinations = incoming.map(({ _id, ...fields }) => {
+    const existing = findExisting({ _id, sku: fields.sku });
+    if (!existing) return fields;
+
+    existing.set(fields);
+    return existing;
+  });
 };
 
-// Pre-save middleware to update rating
+// Combinations must use the declared options, be unique, and add up to the product stock
+productSchema.pre('validate', function(next) {
+  if (this.variantCombinations.length === 0) return next();
+
+  const declared = new Map(this.variants.map(variant => [variant.name, variant.options]));
+  const seen = new Set();
+  const skus = new Set();
+
+  for (const combination of this.variantCombinations) {
+    const names = [...combination.options.keys()];
+    if (names.length !== declared.size || names.some(name => !declared.get(name)?.includes(combination.options.get(name)))) {
+      this.invalidate('variantCombinations', `Variant combination must pick one option for each of: ${[...declared.keys()].join(', ')}`);
+      return next();
+    }
+
+    // Sorted so the key order the client sent doesn't matter
+    const key = names.sort().map(name => `${name}=${combination.options.get(name)}`).join('|');
+    if (seen.has(key)) {
+      this.invalidate('variantCombinations', `Duplicate variant combination: ${key}`);
+      return next();
+    }
+    seen.add(key);
+
+    if (!combination.sku) {
+      combination.sku = combination._id.toString();
+    }
+    // The unique index on variantCombinations.sku only stops clashes between products
+    if (skus.has(combination.sku)) {
+      this.invalidate('variantCombinations', `Duplicate SKU: ${combination.sku}`);
+      return next();
+    }
+    skus.add(combination.sku);
+  }
+
+  this.inventory.quantity = this.variantCombinations.reduce((sum, combination) => sum + combination.inventory.quantity, 0);
+  next();
+});
+
+// Kept in validate rather than save so insertMany fills them in too
+productSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('name') || this.isModified('brand') || this.isModified('subcategory') || this.isModified('tags')) {
+    this.searchGrams = this.buildSearchGrams();
+  }
+  next();
+});
+
+// Sold-out products leave the storefront and come back once restocked; products
+// a seller has made inactive or discontinued are left alone
 productSchema.pre('save', function(next) {
-  if (this.isModified('reviews')) {
-    this.updateRating();
+  if (this.isNew || this.isModified('inventory.quantity')) {
+    if (this.inventory.quantity === 0 && this.status === 'active') {
+      this.status = 'out_of_stock';
+    } else if (this.inventory.quantity > 0 && this.status === 'out_of_stock') {
+      this.status = 'active';
+    }
   }
   next();
 });
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // Copied from the product so seller-level queries don't need a join
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Seller is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review comment cannot exceed 500 characters']
+  },
+  // Set when the reviewer has a delivered order containing the product
+  isVerifiedPurchase: {
+    type: Boolean,
+    default: false
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  editedAt: Date,
+  sellerReply: {
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reply cannot exceed 500 characters']
+    },
+    repliedAt: Date
+  },
+  helpfulVotes: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  // Hidden reviews are left out of listings and ratings
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  moderation: {
+    reason: String,
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One review per buyer per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, isHidden: 1, createdAt: -1 });
+reviewSchema.index({ seller: 1, isHidden: 1 });
+
+// Rating summary for a product's visible reviews: { average, count, distribution }
+reviewSchema.statics.getProductSummary = async function(productId) {
+  const groups = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), isHidden: false } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let count = 0;
+  groups.forEach(group => {
+    distribution[group._id] = group.count;
+    total += group._id * group.count;
+    count += group.count;
+  });
+
+  return {
+    average: count > 0 ? Number((total / count).toFixed(1)) : 0,
+    count,
+    distribution
+  };
+};
+
+export default mongoose.model('Review', reviewSchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Prefix index behind search autocomplete: one entry per product, brand, category,
+// store and seller, rebuilt periodically by the job worker (services/suggestions.js)
+const searchSuggestionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['product', 'brand', 'category', 'store', 'seller'],
+    required: true
+  },
+  // Text shown to the user
+  text: {
+    type: String,
+    required: true
+  },
+  // Normalized text from each word onwards, e.g. "apple iphone 15", "iphone 15", "15",
+  // so a prefix of any word matches
+  keys: [String],
+  // Product, store or seller id; brands and categories have none
+  ref: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  slug: String,
+  // Popularity, from the products' sales and views
+  sales: {
+    type: Number,
+    default: 0
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  // Rebuild that last wrote the entry; older entries are removed after each rebuild
+  builtAt: Date
+});
+
+searchSuggestionSchema.index({ keys: 1 });
+searchSuggestionSchema.index({ type: 1, text: 1, ref: 1 }, { unique: true });
+searchSuggestionSchema.index({ builtAt: 1 });
+
+export default mongoose.model('SearchSuggestion', searchSuggestionSchema);
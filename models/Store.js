@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { calculateDistance } from '../utils/geo.js';
 
 const componentSchema = new mongoose.Schema({
   id: {
@@ -275,6 +276,45 @@ storeSchema.methods.incrementViews = function(isUniqueVisitor = false) {
   return this.save();
 };
 
+// Instance method to find the active delivery zones covering a state or location, cheapest first
+storeSchema.methods.findDeliveryZones = function({ state, location } = {}) {
+  const zones = this.settings?.shipping?.zones || [];
+  const activeZones = zones.filter(zone => zone.isActive !== false);
+
+  const availableZones = [];
+
+  for (const zone of activeZones) {
+    if (zone.deliveryType === 'state-based' && state) {
+      // Case-insensitive state matching
+      const stateMatches = zone.states.some(zoneState => 
+        zoneState.toLowerCase() === state.toLowerCase()
+      );
+      if (stateMatches) {
+        availableZones.push(zone.toObject ? zone.toObject() : zone);
+      }
+    } else if (zone.deliveryType === 'radius-based' && location && zone.location) {
+      const distance = calculateDistance(
+        location.latitude,
+        location.longitude,
+        zone.location.latitude,
+        zone.location.longitude
+      );
+      
+      if (distance <= zone.radius) {
+        availableZones.push({
+          ...(zone.toObject ? zone.toObject() : zone),
+          distance: Math.round(distance * 100) / 100 // Round to 2 decimal places
+        });
+      }
+    }
+  }
+
+  // Sort by cost (cheapest first)
+  availableZones.sort((a, b) => a.cost - b.cost);
+
+  return availableZones;
+};
+
 // Instance method to duplicate store
 storeSchema.methods.duplicate = function(newName) {
   const duplicatedStore = new this.constructor({
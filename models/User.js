@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -58,9 +59,23 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  verificationToken: String,
-  resetPasswordToken: String,
-  resetPasswordExpire: Date,
+  // Verification and reset tokens are stored as SHA-256 hashes
+  verificationToken: {
+    type: String,
+    select: false
+  },
+  verificationTokenExpire: {
+    type: Date,
+    select: false
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
   // Seller specific fields
   businessName: {
     type: String,
@@ -75,6 +90,7 @@ const userSchema = new mongoose.Schema({
     bankName: String,
     bankCode: String
   },
+  // Seller rating from product reviews and order feedback, kept up to date incrementally
   rating: {
     average: {
       type: Number,
@@ -83,12 +99,43 @@ const userSchema = new mongoose.Schema({
     count: {
       type: Number,
       default: 0
+    },
+    sum: {
+      type: Number,
+      default: 0
+    },
+    distribution: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 }
+    },
+    feedback: {
+      count: {
+        type: Number,
+        default: 0
+      },
+      deliverySpeedSum: {
+        type: Number,
+        default: 0
+      },
+      accuracySum: {
+        type: Number,
+        default: 0
+      }
     }
   },
   totalSales: {
     type: Number,
     default: 0
   },
+  // Notification types the user has switched off are stored as false; anything missing is on
+  notificationPreferences: {
+    type: Map,
+    of: Boolean,
+    default: {}
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -121,6 +168,27 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Hash a verification/reset token the way it is stored
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Create an email verification token (valid 24 hours); returns the raw token to email
+userSchema.methods.createVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.verificationToken = this.constructor.hashToken(token);
+  this.verificationTokenExpire = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Create a password reset token (valid 1 hour); returns the raw token to email
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = this.constructor.hashToken(token);
+  this.resetPasswordExpire = new Date(Date.now() + 60 * 60 * 1000);
+  return token;
+};
+
 // Get public profile (exclude sensitive data)
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
@@ -128,6 +196,7 @@ userSchema.methods.getPublicProfile = function() {
   delete userObject.resetPasswordToken;
   delete userObject.resetPasswordExpire;
   delete userObject.verificationToken;
+  delete userObject.verificationTokenExpire;
   return userObject;
 };
 
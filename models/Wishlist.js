@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // Optional: a specific variant combination, or any of them when null
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    // Alerts the buyer opted into for this item
+    alerts: {
+      priceDrop: {
+        type: Boolean,
+        default: false
+      },
+      backInStock: {
+        type: Boolean,
+        default: false
+      }
+    },
+    // Price a drop is measured against: the price when added, then the last alerted price
+    alertPrice: Number,
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+wishlistSchema.index({ 'items.product': 1 });
+
+// Items are the same when product and variant combination match
+const isSameItem = (item, productId, variantId) =>
+  item.product.toString() === productId.toString() &&
+  String(item.variantId || '') === String(variantId || '');
+
+// The item for a product (and variant combination), if it is on the list
+wishlistSchema.methods.findItem = function(productId, variantId = null) {
+  return this.items.find(item => isSameItem(item, productId, variantId));
+};
+
+export default mongoose.model('Wishlist', wishlistSchema);
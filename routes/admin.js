@@ -0,0 +1,132 @@
+import express from 'express';
+import Job from '../models/Job.js';
+import { protect, restrictTo } from '../middleware/auth.js';
+import { retryJob } from '../services/jobs/index.js';
+
+const router = express.Router();
+
+// @desc    Count background jobs by status
+// @route   GET /api/admin/jobs/stats
+// @access  Private/Admin
+router.get('/jobs/stats', protect, restrictTo('admin'), async (req, res) => {
+  try {
+    const counts = await Job.aggregate([
+      { $group: { _id: { name: '$name', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    const byStatus = { pending: 0, running: 0, completed: 0, dead: 0 };
+    const byName = {};
+    for (const { _id, count } of counts) {
+      byStatus[_id.status] += count;
+      byName[_id.name] = { ...byName[_id.name], [_id.status]: count };
+    }
+
+    res.json({
+      success: true,
+      data: { byStatus, byName }
+    });
+  } catch (error) {
+    console.error('Get job stats error:', error);
+    res.status(500).json({ message: 'Server error fetching job stats' });
+  }
+});
+
+// @desc    Get background jobs, the dead (failed for good) ones by default
+// @route   GET /api/admin/jobs
+// @access  Private/Admin
+router.get('/jobs', protect, restrictTo('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { status: req.query.status || 'dead' };
+    if (req.query.name) {
+      filter.name = req.query.name;
+    }
+
+    const jobs = await Job.find(filter)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Job.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ message: 'Server error fetching jobs' });
+  }
+});
+
+// @desc    Get a background job
+// @route   GET /api/admin/jobs/:id
+// @access  Private/Admin
+router.get('/jobs/:id', protect, restrictTo('admin'), async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ message: 'Server error fetching job' });
+  }
+});
+
+// @desc    Requeue a dead job
+// @route   POST /api/admin/jobs/:id/retry
+// @access  Private/Admin
+router.post('/jobs/:id/retry', protect, restrictTo('admin'), async (req, res) => {
+  try {
+    const job = await retryJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Dead job not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job requeued',
+      data: job
+    });
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({ message: 'Server error retrying job' });
+  }
+});
+
+// @desc    Discard a dead job
+// @route   DELETE /api/admin/jobs/:id
+// @access  Private/Admin
+router.delete('/jobs/:id', protect, restrictTo('admin'), async (req, res) => {
+  try {
+    const result = await Job.deleteOne({ _id: req.params.id, status: 'dead' });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Dead job not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete job error:', error);
+    res.status(500).json({ message: 'Server error deleting job' });
+  }
+});
+
+export default router;
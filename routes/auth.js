@@ -1,10 +1,14 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import multer from 'multer';
 import { createClient } from '@supabase/supabase-js';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import { protect } from '../middleware/auth.js';
+import { createSession, rotateSession, revokeUserSessions, verifyCartToken } from '../services/tokens.js';
+import { mergeGuestCart } from '../services/carts.js';
+import { sendMail } from '../services/mail/index.js';
+import { verifyEmail, resetPassword } from '../services/mail/templates/auth.js';
 
 // Function to get Supabase client (lazy initialization)
 const getSupabaseClient = () => {
@@ -36,13 +40,34 @@ const upload = multer({
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d',
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Issue a fresh verification token and email the link; the caller has loaded the user
+const sendVerificationEmail = async (user) => {
+  const token = user.createVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  await sendMail({
+    to: user.email,
+    ...verifyEmail({ name: user.name, link: `${getFrontendUrl()}/verify-email/${token}` })
   });
 };
 
+// Move the shopper's guest cart (sent as X-Cart-Token) into their account. Returns
+// the lines that couldn't be moved in full, or null if there was no guest cart; a
+// failed merge leaves the guest cart alone rather than failing the sign-in.
+const mergeCartFromRequest = async (req, userId) => {
+  const guestId = req.headers['x-cart-token'] && verifyCartToken(req.headers['x-cart-token']);
+  if (!guestId) return null;
+
+  try {
+    return await mergeGuestCart(guestId, userId);
+  } catch (error) {
+    console.error('Merge guest cart error:', error);
+    return null;
+  }
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -120,15 +145,26 @@ router.post('/register', [
     // Create user
     const user = await User.create(userData);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A failed email should not fail the signup; the user can ask for another link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await createSession(user._id, req);
+    const cartAdjustments = await mergeCartFromRequest(req, user._id);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         token,
-        user: user.getPublicProfile()
+        refreshToken,
+        expiresIn,
+        user: user.getPublicProfile(),
+        ...(cartAdjustments ? { cartMerged: true, cartAdjustments } : {})
       }
     });
   } catch (error) {
@@ -172,15 +208,19 @@ router.post('/login', [
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await createSession(user._id, req);
+    const cartAdjustments = await mergeCartFromRequest(req, user._id);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         token,
-        user: user.getPublicProfile()
+        refreshToken,
+        expiresIn,
+        user: user.getPublicProfile(),
+        ...(cartAdjustments ? { cartMerged: true, cartAdjustments } : {})
       }
     });
   } catch (error) {
@@ -189,6 +229,45 @@ router.post('/login', [
   }
 });
 
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { token, refreshToken, expiresIn, userId } = await rotateSession(req.body.refreshToken, req);
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Account is not available' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken,
+        expiresIn
+      }
+    });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return res.status(401).json({ message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error refreshing token' });
+  }
+});
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -307,6 +386,9 @@ router.put('/change-password', protect, [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    await revokeUserSessions(user._id, 'password_changed', req.sessionId);
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -317,14 +399,238 @@ router.put('/change-password', protect, [
   }
 });
 
-// @desc    Logout user (client-side token removal)
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({
+      verificationToken: User.hashToken(req.body.token),
+      verificationTokenExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.isVerified = true;
+    user.verificationToken = undefined;
+    user.verificationTokenExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error verifying email' });
+  }
+});
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error sending verification email' });
+  }
+});
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    // Same response either way so the endpoint can't be used to probe for accounts
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await sendMail({
+          to: user.email,
+          ...resetPassword({ name: user.name, link: `${getFrontendUrl()}/reset-password/${token}` })
+        });
+      } catch (mailError) {
+        console.error('Reset email error:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error sending reset email' });
+  }
+});
+
+// @desc    Reset password with an emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', [
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(req.params.token),
+      resetPasswordExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    // Whoever had the old password is signed out everywhere
+    await revokeUserSessions(user._id, 'password_reset');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please sign in'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error resetting password' });
+  }
+});
+
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
-router.post('/logout', protect, (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @desc    Logout of all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, 'logout_all');
+
+    res.status(200).json({
+      success: true,
+      message: `Logged out of ${revoked} session(s)`
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @desc    List active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error fetching sessions' });
+  }
+});
+
+// @desc    Revoke one session (sign out a device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const result = await Session.updateOne(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked_by_user' }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error revoking session' });
+  }
 });
 
 // @desc    Upload avatar
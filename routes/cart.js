@@ -1,28 +1,74 @@
+import crypto from 'crypto';
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Cart from '../models/Cart.js';
 import Product from '../models/Product.js';
-import { protect } from '../middleware/auth.js';
+import { protect, cartOwner } from '../middleware/auth.js';
+import { evaluateCoupon } from '../services/coupons.js';
+import { checkAvailability, validateCart } from '../services/carts.js';
+import { signCartToken } from '../services/tokens.js';
 
 const router = express.Router();
 
-// @desc    Get user's cart
+// Products shown on cart lines and saved-for-later lines
+const productPopulate = {
+  select: 'name price images inventory status variants variantCombinations',
+  populate: {
+    path: 'seller',
+    select: 'name businessName'
+  }
+};
+const cartPopulate = [
+  { path: 'items.product', ...productPopulate },
+  { path: 'savedForLater.product', ...productPopulate }
+];
+
+// Carts belong to the signed-in user, or to the guest holding the cart token
+const cartFilter = (req) => {
+  if (req.user) return { user: req.user.id };
+  if (req.guestId) return { guestId: req.guestId };
+  return null;
+};
+
+const findCart = async (req) => {
+  const filter = cartFilter(req);
+  return filter ? Cart.findOne(filter) : null;
+};
+
+// The requester's cart, started if they have none yet. A new guest gets a cart
+// token, returned as cartToken for the client to send as X-Cart-Token from then on.
+const getOrCreateCart = async (req) => {
+  const cart = await findCart(req);
+  if (cart) return { cart };
+
+  if (req.user) {
+    return { cart: new Cart({ user: req.user.id, items: [] }) };
+  }
+  if (req.guestId) {
+    return { cart: new Cart({ guestId: req.guestId, items: [] }) };
+  }
+
+  const guestId = crypto.randomUUID();
+  return {
+    cart: new Cart({ guestId, items: [] }),
+    cartToken: signCartToken(guestId)
+  };
+};
+
+// @desc    Get user's or guest's cart
 // @route   GET /api/cart
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @access  Public (JWT or cart token)
+router.get('/', cartOwner, async (req, res) => {
   try {
-    let cart = await Cart.findOne({ user: req.user.id })
-      .populate({
-        path: 'items.product',
-        select: 'name price images inventory status',
-        populate: {
-          path: 'seller',
-          select: 'name businessName'
-        }
-      });
+    let cart = await findCart(req);
 
-    if (!cart) {
+    if (cart) {
+      await cart.populate(cartPopulate);
+    } else if (req.user) {
       cart = await Cart.create({ user: req.user.id, items: [] });
+    } else {
+      // Guests get a cart (and a token) once they add something
+      cart = new Cart({ items: [] });
     }
 
     res.json({
@@ -35,13 +81,40 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
+// @desc    Re-check the cart against current prices and stock
+// @route   GET /api/cart/validate
+// @access  Public (JWT or cart token)
+router.get('/validate', cartOwner, async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (!cart) {
+      return res.status(404).json({ message: 'Cart not found' });
+    }
+
+    // Quantities above the stock left are clamped and changed prices recorded, so the
+    // cart is saved with them
+    const report = await validateCart(cart);
+    if (cart.isModified()) {
+      await cart.save();
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Validate cart error:', error);
+    res.status(500).json({ message: 'Server error validating cart' });
+  }
+});
+
 // @desc    Add item to cart
 // @route   POST /api/cart/add
-// @access  Private
-router.post('/add', protect, [
+// @access  Public (JWT or cart token)
+router.post('/add', cartOwner, [
   body('productId').isMongoId().withMessage('Valid product ID is required'),
   body('quantity').isInt({ min: 1, max: 50 }).withMessage('Quantity must be between 1 and 50'),
-  body('variant').optional().isObject().withMessage('Variant must be an object')
+  body('variantId').optional({ nullable: true }).isMongoId().withMessage('Valid variant ID is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -52,48 +125,34 @@ router.post('/add', protect, [
       });
     }
 
-    const { productId, quantity, variant = {} } = req.body;
+    const { productId, quantity, variantId = null } = req.body;
 
-    // Check if product exists and is available
+    // Check if product exists
     const product = await Product.findById(productId);
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    if (product.status !== 'active') {
-      return res.status(400).json({ message: 'Product is not available' });
-    }
-
-    if (product.inventory.quantity < quantity) {
-      return res.status(400).json({ 
-        message: `Only ${product.inventory.quantity} items available in stock` 
-      });
-    }
+    const { cart, cartToken } = await getOrCreateCart(req);
 
-    // Get or create cart
-    let cart = await Cart.findOne({ user: req.user.id });
-    if (!cart) {
-      cart = new Cart({ user: req.user.id, items: [] });
+    // Stock has to cover what is already in the cart as well
+    const availabilityError = checkAvailability(product, variantId, cart.getQuantity(productId, variantId) + quantity);
+    if (availabilityError) {
+      return res.status(400).json({ message: availabilityError });
     }
 
     // Add item to cart
-    cart.addItem(productId, quantity, variant);
+    cart.addItem(productId, quantity, variantId, product.getPriceFor(variantId));
     await cart.save();
 
     // Populate and return updated cart
-    await cart.populate({
-      path: 'items.product',
-      select: 'name price images inventory status',
-      populate: {
-        path: 'seller',
-        select: 'name businessName'
-      }
-    });
+    await cart.populate(cartPopulate);
 
     res.json({
       success: true,
       message: 'Item added to cart successfully',
-      data: cart
+      data: cart,
+      ...(cartToken ? { cartToken } : {})
     });
   } catch (error) {
     console.error('Add to cart error:', error);
@@ -103,11 +162,11 @@ router.post('/add', protect, [
 
 // @desc    Update cart item quantity
 // @route   PUT /api/cart/update
-// @access  Private
-router.put('/update', protect, [
+// @access  Public (JWT or cart token)
+router.put('/update', cartOwner, [
   body('productId').isMongoId().withMessage('Valid product ID is required'),
   body('quantity').isInt({ min: 0, max: 50 }).withMessage('Quantity must be between 0 and 50'),
-  body('variant').optional().isObject().withMessage('Variant must be an object')
+  body('variantId').optional({ nullable: true }).isMongoId().withMessage('Valid variant ID is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -118,9 +177,9 @@ router.put('/update', protect, [
       });
     }
 
-    const { productId, quantity, variant = {} } = req.body;
+    const { productId, quantity, variantId = null } = req.body;
 
-    const cart = await Cart.findOne({ user: req.user.id });
+    const cart = await findCart(req);
     if (!cart) {
       return res.status(404).json({ message: 'Cart not found' });
     }
@@ -128,30 +187,18 @@ router.put('/update', protect, [
     // Check product availability if quantity > 0
     if (quantity > 0) {
       const product = await Product.findById(productId);
-      if (!product || product.status !== 'active') {
-        return res.status(400).json({ message: 'Product is not available' });
-      }
-
-      if (product.inventory.quantity < quantity) {
-        return res.status(400).json({ 
-          message: `Only ${product.inventory.quantity} items available in stock` 
-        });
+      const availabilityError = checkAvailability(product, variantId, quantity);
+      if (availabilityError) {
+        return res.status(400).json({ message: availabilityError });
       }
     }
 
     // Update quantity
-    cart.updateQuantity(productId, quantity, variant);
+    cart.updateQuantity(productId, quantity, variantId);
     await cart.save();
 
     // Populate and return updated cart
-    await cart.populate({
-      path: 'items.product',
-      select: 'name price images inventory status',
-      populate: {
-        path: 'seller',
-        select: 'name businessName'
-      }
-    });
+    await cart.populate(cartPopulate);
 
     res.json({
       success: true,
@@ -166,10 +213,10 @@ router.put('/update', protect, [
 
 // @desc    Remove item from cart
 // @route   DELETE /api/cart/remove
-// @access  Private
-router.delete('/remove', protect, [
+// @access  Public (JWT or cart token)
+router.delete('/remove', cartOwner, [
   body('productId').isMongoId().withMessage('Valid product ID is required'),
-  body('variant').optional().isObject().withMessage('Variant must be an object')
+  body('variantId').optional({ nullable: true }).isMongoId().withMessage('Valid variant ID is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -180,26 +227,19 @@ router.delete('/remove', protect, [
       });
     }
 
-    const { productId, variant = {} } = req.body;
+    const { productId, variantId = null } = req.body;
 
-    const cart = await Cart.findOne({ user: req.user.id });
+    const cart = await findCart(req);
     if (!cart) {
       return res.status(404).json({ message: 'Cart not found' });
     }
 
     // Remove item
-    cart.removeItem(productId, variant);
+    cart.removeItem(productId, variantId);
     await cart.save();
 
     // Populate and return updated cart
-    await cart.populate({
-      path: 'items.product',
-      select: 'name price images inventory status',
-      populate: {
-        path: 'seller',
-        select: 'name businessName'
-      }
-    });
+    await cart.populate(cartPopulate);
 
     res.json({
       success: true,
@@ -212,12 +252,214 @@ router.delete('/remove', protect, [
   }
 });
 
+// @desc    Move a cart line to the saved-for-later list
+// @route   POST /api/cart/save-for-later
+// @access  Public (JWT or cart token)
+router.post('/save-for-later', cartOwner, [
+  body('productId').isMongoId().withMessage('Valid product ID is required'),
+  body('variantId').optional({ nullable: true }).isMongoId().withMessage('Valid variant ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { productId, variantId = null } = req.body;
+
+    const cart = await findCart(req);
+    if (!cart || !cart.saveForLater(productId, variantId)) {
+      return res.status(404).json({ message: 'Item not found in cart' });
+    }
+    await cart.save();
+
+    await cart.populate(cartPopulate);
+
+    res.json({
+      success: true,
+      message: 'Item saved for later',
+      data: cart
+    });
+  } catch (error) {
+    console.error('Save for later error:', error);
+    res.status(500).json({ message: 'Server error saving item for later' });
+  }
+});
+
+// @desc    Move a saved-for-later line back into the cart
+// @route   POST /api/cart/move-to-cart
+// @access  Public (JWT or cart token)
+router.post('/move-to-cart', cartOwner, [
+  body('productId').isMongoId().withMessage('Valid product ID is required'),
+  body('variantId').optional({ nullable: true }).isMongoId().withMessage('Valid variant ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { productId, variantId = null } = req.body;
+
+    const cart = await findCart(req);
+    const saved = cart?.getSavedLine(productId, variantId);
+    if (!saved) {
+      return res.status(404).json({ message: 'Item not found in saved for later' });
+    }
+
+    // Stock has to cover what is already in the cart as well
+    const product = await Product.findById(productId);
+    const availabilityError = checkAvailability(product, variantId, cart.getQuantity(productId, variantId) + saved.quantity);
+    if (availabilityError) {
+      return res.status(400).json({ message: availabilityError });
+    }
+
+    cart.moveToCart(productId, variantId, product.getPriceFor(variantId));
+    await cart.save();
+
+    await cart.populate(cartPopulate);
+
+    res.json({
+      success: true,
+      message: 'Item moved to cart',
+      data: cart
+    });
+  } catch (error) {
+    console.error('Move to cart error:', error);
+    res.status(500).json({ message: 'Server error moving item to cart' });
+  }
+});
+
+// @desc    Remove a saved-for-later line
+// @route   DELETE /api/cart/saved
+// @access  Public (JWT or cart token)
+router.delete('/saved', cartOwner, [
+  body('productId').isMongoId().withMessage('Valid product ID is required'),
+  body('variantId').optional({ nullable: true }).isMongoId().withMessage('Valid variant ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { productId, variantId = null } = req.body;
+
+    const cart = await findCart(req);
+    const saved = cart?.getSavedLine(productId, variantId);
+    if (!saved) {
+      return res.status(404).json({ message: 'Item not found in saved for later' });
+    }
+
+    saved.deleteOne();
+    await cart.save();
+
+    await cart.populate(cartPopulate);
+
+    res.json({
+      success: true,
+      message: 'Saved item removed',
+      data: cart
+    });
+  } catch (error) {
+    console.error('Remove saved item error:', error);
+    res.status(500).json({ message: 'Server error removing saved item' });
+  }
+});
+
+// @desc    Apply coupon to cart
+// @route   POST /api/cart/apply-coupon
+// @access  Private
+router.post('/apply-coupon', protect, [
+  body('code').trim().notEmpty().withMessage('Coupon code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const cart = await Cart.findOne({ user: req.user.id }).populate('items.product');
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    let evaluation;
+    try {
+      evaluation = await evaluateCoupon(req.body.code, {
+        userId: req.user.id,
+        lines: cart.items.map(item => ({ product: item.product, quantity: item.quantity, price: item.product?.getPriceFor(item.variantId) }))
+      });
+    } catch (couponError) {
+      if (couponError.statusCode) {
+        return res.status(couponError.statusCode).json({ message: couponError.message });
+      }
+      throw couponError;
+    }
+
+    cart.couponCode = evaluation.coupon.code;
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon applied successfully',
+      data: {
+        code: evaluation.coupon.code,
+        type: evaluation.coupon.type,
+        description: evaluation.coupon.description,
+        eligibleSubtotal: evaluation.eligibleSubtotal,
+        // Free shipping is worked out at checkout once the delivery address is known
+        discount: evaluation.discount,
+        freeShipping: evaluation.freeShipping
+      }
+    });
+  } catch (error) {
+    console.error('Apply coupon error:', error);
+    res.status(500).json({ message: 'Server error applying coupon' });
+  }
+});
+
+// @desc    Remove coupon from cart
+// @route   DELETE /api/cart/coupon
+// @access  Public (JWT or cart token)
+router.delete('/coupon', cartOwner, async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (!cart) {
+      return res.status(404).json({ message: 'Cart not found' });
+    }
+
+    cart.couponCode = undefined;
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove coupon error:', error);
+    res.status(500).json({ message: 'Server error removing coupon' });
+  }
+});
+
 // @desc    Clear entire cart
 // @route   DELETE /api/cart/clear
-// @access  Private
-router.delete('/clear', protect, async (req, res) => {
+// @access  Public (JWT or cart token)
+router.delete('/clear', cartOwner, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user.id });
+    const cart = await findCart(req);
     if (!cart) {
       return res.status(404).json({ message: 'Cart not found' });
     }
@@ -0,0 +1,290 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Coupon from '../models/Coupon.js';
+import Product from '../models/Product.js';
+import Store from '../models/Store.js';
+import { protect, restrictTo } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const couponValidation = (isUpdate) => {
+  const required = (chain) => isUpdate ? chain.optional() : chain;
+  return [
+    required(body('code')).trim().matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Code must be 3-30 letters, numbers, dashes or underscores'),
+    required(body('type')).isIn(['percentage', 'fixed', 'free_shipping']).withMessage('Type must be percentage, fixed or free_shipping'),
+    body('value').optional().isFloat({ min: 0 }).withMessage('Value must be non-negative'),
+    body('value').if(body('type').equals('percentage')).isFloat({ min: 1, max: 100 }).withMessage('Percentage must be between 1 and 100'),
+    body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Maximum discount must be non-negative'),
+    body('minSpend').optional().isFloat({ min: 0 }).withMessage('Minimum spend must be non-negative'),
+    body('startsAt').optional({ nullable: true }).isISO8601().withMessage('Start date must be a valid date'),
+    body('endsAt').optional({ nullable: true }).isISO8601().withMessage('End date must be a valid date'),
+    body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+    body('perUserLimit').optional().isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+    body('appliesTo.sellers').optional().isArray().withMessage('Sellers must be an array'),
+    body('appliesTo.sellers.*').isMongoId().withMessage('Invalid seller ID'),
+    body('appliesTo.stores').optional().isArray().withMessage('Stores must be an array'),
+    body('appliesTo.stores.*').isMongoId().withMessage('Invalid store ID'),
+    body('appliesTo.categories').optional().isArray().withMessage('Categories must be an array'),
+    body('appliesTo.products').optional().isArray().withMessage('Products must be an array'),
+    body('appliesTo.products.*').isMongoId().withMessage('Invalid product ID'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+    body('cartRecovery').optional().isBoolean().withMessage('cartRecovery must be a boolean')
+  ];
+};
+
+const allowedFields = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minSpend', 'startsAt',
+  'endsAt', 'usageLimit', 'perUserLimit', 'appliesTo', 'isActive', 'cartRecovery'
+];
+
+const pickCouponFields = (body) => {
+  const updates = {};
+  allowedFields.forEach(field => {
+    if (body[field] !== undefined) {
+      updates[field] = body[field];
+    }
+  });
+  return updates;
+};
+
+// Sellers may only scope coupons to their own stores and products; returns an error message or null
+const checkSellerScope = async (sellerId, appliesTo = {}) => {
+  if (appliesTo.sellers?.some(id => id !== sellerId)) {
+    return 'You can only create coupons for your own products';
+  }
+
+  if (appliesTo.stores?.length > 0) {
+    const ownedStores = await Store.countDocuments({ _id: { $in: appliesTo.stores }, seller: sellerId });
+    if (ownedStores !== appliesTo.stores.length) {
+      return 'You can only scope coupons to your own stores';
+    }
+  }
+
+  if (appliesTo.products?.length > 0) {
+    const ownedProducts = await Product.countDocuments({ _id: { $in: appliesTo.products }, seller: sellerId });
+    if (ownedProducts !== appliesTo.products.length) {
+      return 'You can only scope coupons to your own products';
+    }
+  }
+
+  return null;
+};
+
+const canManage = (coupon, user) => {
+  if (user.type === 'admin') return true;
+  return coupon.seller && coupon.seller.toString() === user.id;
+};
+
+// @desc    Get coupons (sellers see their own, admins see all)
+// @route   GET /api/coupons
+// @access  Private (seller or admin)
+router.get('/', protect, restrictTo('seller', 'admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.user.type === 'seller') {
+      filter.seller = req.user.id;
+    } else if (req.query.scope === 'platform') {
+      filter.seller = null;
+    } else if (req.query.seller) {
+      filter.seller = req.query.seller;
+    }
+
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const coupons = await Coupon.find(filter)
+      .select('-redemptions')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Coupon.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: coupons,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({ message: 'Server error fetching coupons' });
+  }
+});
+
+// @desc    Get single coupon
+// @route   GET /api/coupons/:id
+// @access  Private (coupon owner or admin)
+router.get('/:id', protect, restrictTo('seller', 'admin'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('redemptions.user', 'name email')
+      .populate('redemptions.order', 'orderNumber');
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    if (!canManage(coupon, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view this coupon' });
+    }
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({ message: 'Server error fetching coupon' });
+  }
+});
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private (seller or admin)
+router.post('/', protect, restrictTo('seller', 'admin'), couponValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const couponData = pickCouponFields(req.body);
+
+    // Seller coupons only ever discount that seller's products; admin coupons are platform-wide
+    if (req.user.type === 'seller') {
+      const scopeError = await checkSellerScope(req.user.id, couponData.appliesTo);
+      if (scopeError) {
+        return res.status(403).json({ message: scopeError });
+      }
+      couponData.seller = req.user.id;
+    } else {
+      couponData.seller = null;
+    }
+
+    const coupon = await Coupon.create({
+      ...couponData,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Create coupon error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A coupon with this code already exists' });
+    }
+
+    res.status(500).json({ message: 'Server error creating coupon' });
+  }
+});
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private (coupon owner or admin)
+router.put('/:id', protect, restrictTo('seller', 'admin'), couponValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    if (!canManage(coupon, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to update this coupon' });
+    }
+
+    const updates = pickCouponFields(req.body);
+
+    if (req.user.type === 'seller' && updates.appliesTo) {
+      const scopeError = await checkSellerScope(req.user.id, updates.appliesTo);
+      if (scopeError) {
+        return res.status(403).json({ message: scopeError });
+      }
+    }
+
+    coupon.set(updates);
+
+    // The body may change only the value or only the type, so check the merged coupon
+    if (coupon.type === 'percentage' && !(coupon.value >= 1 && coupon.value <= 100)) {
+      return res.status(400).json({ message: 'Percentage must be between 1 and 100' });
+    }
+
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A coupon with this code already exists' });
+    }
+
+    res.status(500).json({ message: 'Server error updating coupon' });
+  }
+});
+
+// @desc    Delete coupon (deactivated instead once it has been redeemed)
+// @route   DELETE /api/coupons/:id
+// @access  Private (coupon owner or admin)
+router.delete('/:id', protect, restrictTo('seller', 'admin'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    if (!canManage(coupon, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to delete this coupon' });
+    }
+
+    // Orders keep pointing at redeemed coupons
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({
+        success: true,
+        message: 'Coupon has been used, so it was deactivated instead'
+      });
+    }
+
+    await Coupon.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({ message: 'Server error deleting coupon' });
+  }
+});
+
+export default router;
@@ -0,0 +1,47 @@
+import express from 'express';
+import { protectEventStream } from '../middleware/auth.js';
+import { verifyAccessToken } from '../services/tokens.js';
+import { addClient, removeClient, writeEvent } from '../services/events.js';
+
+const router = express.Router();
+
+// Read lazily so values from .env are picked up after dotenv has run
+const getHeartbeatSeconds = () => parseInt(process.env.EVENTS_HEARTBEAT_SECONDS) || 25;
+
+// @desc    Stream order and notification events (Server-Sent Events)
+// @route   GET /api/events
+// @access  Private (Authorization header, or ?token= for EventSource)
+router.get('/', protectEventStream, (req, res) => {
+  const token = req.headers.authorization.split(' ')[1];
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // stop proxies such as nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  res.write('retry: 5000\n\n');
+  writeEvent(res, 'ready', { user: req.user._id });
+  addClient(req.user._id, res);
+
+  // Keep the connection open through proxies, and end it once the access token
+  // expires or the session is revoked; the client reconnects with a fresh token
+  const heartbeat = setInterval(async () => {
+    try {
+      await verifyAccessToken(token);
+      res.write(': heartbeat\n\n');
+    } catch (error) {
+      writeEvent(res, 'unauthorized', { message: error.message });
+      res.end();
+    }
+  }, getHeartbeatSeconds() * 1000);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    removeClient(req.user._id, res);
+  });
+});
+
+export default router;
@@ -0,0 +1,189 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Every type with its current setting, on unless switched off
+const describePreferences = (user) => Object.fromEntries(NOTIFICATION_TYPES.map(type =>
+  [type, user.notificationPreferences?.get(type) !== false]));
+
+// @desc    Get notifications
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error fetching notifications' });
+  }
+});
+
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error fetching unread count' });
+  }
+});
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get('/preferences', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    res.json({
+      success: true,
+      data: describePreferences(user)
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Server error fetching notification preferences' });
+  }
+});
+
+// @desc    Update notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+router.put('/preferences', protect, [
+  body('preferences').isObject().withMessage('Preferences must be an object of type: true/false'),
+  body('preferences').custom(preferences => Object.entries(preferences).every(([type, enabled]) =>
+    NOTIFICATION_TYPES.includes(type) && typeof enabled === 'boolean'
+  )).withMessage(`Preferences must map these types to true or false: ${NOTIFICATION_TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+    Object.entries(req.body.preferences).forEach(([type, enabled]) => {
+      user.notificationPreferences.set(type, enabled);
+    });
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: describePreferences(user)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error updating notification preferences' });
+  }
+});
+
+// @desc    Mark all notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+router.patch('/read-all', protect, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error marking notifications as read' });
+  }
+});
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+router.patch('/:id/read', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      data: notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Server error marking notification as read' });
+  }
+});
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const result = await Notification.deleteOne({ _id: req.params.id, user: req.user._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({ message: 'Server error deleting notification' });
+  }
+});
+
+export default router;
@@ -1,12 +1,81 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { body, validationResult } from 'express-validator';
 import Order from '../models/Order.js';
-import Cart from '../models/Cart.js';
-import Product from '../models/Product.js';
 import { protect, restrictTo } from '../middleware/auth.js';
+import { getPaymentProvider, recordPaymentReference } from '../services/payments/index.js';
+import { placeOrder } from '../services/checkout.js';
+import { restoreStock } from '../services/inventory.js';
+import { releaseCoupon } from '../services/coupons.js';
+import { claimReturn, refundReturn } from '../services/returns.js';
+import { recordOrderFeedback } from '../services/sellerRatings.js';
+import { notifyOrderPlaced, notifyOrderStatus, notifyOrderCancelled } from '../services/notifications.js';
+import { publishOrderCreated, publishOrderUpdated } from '../services/events.js';
+import { emailOrderPlaced, emailOrderStatus, emailOrderCancelled, emailOrderRefunded } from '../services/orderEmails.js';
 
 const router = express.Router();
 
+// Days after delivery during which a buyer can ask to return items
+const getReturnWindowDays = () => parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+
+// Cancel fulfilments (or a whole order from before fulfilments existed) as the given role,
+// putting their stock back and releasing the coupon once nothing on the order is left
+const cancelFulfilments = async (order, { fulfilments, message, user, role }) => {
+  const isLegacy = order.fulfilments.length === 0;
+  const lines = isLegacy ? order.items : fulfilments.flatMap(fulfilment => order.getFulfilmentItems(fulfilment));
+
+  // Throws a 409 if the transition table does not allow the cancellation
+  order.updateFulfilments({
+    status: 'cancelled',
+    message,
+    updatedBy: user.id,
+    role,
+    fulfilments: isLegacy ? undefined : fulfilments
+  });
+
+  // Nothing is left to pay for, so the stock hold is over
+  if (order.status === 'cancelled' && order.reservation?.status === 'held') {
+    order.reservation.status = 'released';
+    order.reservation.releasedAt = new Date();
+  }
+
+  // Restore inventory and cancel together
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await restoreStock(lines, session, { order: order._id, user: user.id, reason: message }, 'cancel');
+      if (order.status === 'cancelled') {
+        await releaseCoupon(order, session);
+      }
+      await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Load an order and one of its returns for the seller handling it (or an admin)
+const loadReturnForSeller = async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    res.status(404).json({ message: 'Order not found' });
+    return {};
+  }
+
+  const returnRequest = order.returns.id(req.params.returnId);
+  if (!returnRequest) {
+    res.status(404).json({ message: 'Return request not found' });
+    return {};
+  }
+
+  if (returnRequest.seller.toString() !== req.user.id && req.user.type !== 'admin') {
+    res.status(403).json({ message: 'Not authorized to manage this return' });
+    return {};
+  }
+
+  return { order, returnRequest };
+};
+
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private
@@ -16,6 +85,8 @@ router.post('/', protect, [
   body('shippingAddress.street').trim().notEmpty().withMessage('Street address is required'),
   body('shippingAddress.city').trim().notEmpty().withMessage('City is required'),
   body('shippingAddress.state').trim().notEmpty().withMessage('State is required'),
+  body('shippingAddress.location.latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('shippingAddress.location.longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
   body('paymentInfo.method').isIn(['paystack', 'flutterwave', 'bank_transfer', 'cash_on_delivery']).withMessage('Valid payment method is required')
 ], async (req, res) => {
   try {
@@ -27,91 +98,33 @@ router.post('/', protect, [
       });
     }
 
-    // Get user's cart
-    const cart = await Cart.findOne({ user: req.user.id }).populate('items.product');
-    if (!cart || cart.items.length === 0) {
-      return res.status(400).json({ message: 'Cart is empty' });
-    }
-
-    // Validate inventory and calculate totals
-    let subtotal = 0;
-    const orderItems = [];
+    const paymentMethod = req.body.paymentInfo.method;
 
-    for (const item of cart.items) {
-      const product = item.product;
-      
-      // Check product availability
-      if (product.status !== 'active') {
-        return res.status(400).json({ 
-          message: `Product "${product.name}" is no longer available` 
-        });
-      }
-
-      // Check inventory
-      if (product.inventory.quantity < item.quantity) {
-        return res.status(400).json({ 
-          message: `Insufficient stock for "${product.name}". Only ${product.inventory.quantity} available` 
-        });
-      }
-
-      const itemTotal = product.price * item.quantity;
-      subtotal += itemTotal;
-
-      orderItems.push({
-        product: product._id,
-        seller: product.seller,
-        quantity: item.quantity,
-        price: product.price,
-        variant: item.variant
-      });
-    }
-
-    // Calculate shipping and total
-    const shippingCost = req.body.shippingCost || 0;
-    const tax = 0; // No tax for now
-    const discount = req.body.discount || 0;
-    const total = subtotal + shippingCost + tax - discount;
-
-    // Create order
-    const order = await Order.create({
-      buyer: req.user.id,
-      items: orderItems,
+    // Reserves stock, creates the order and clears the cart in one transaction
+    const order = await placeOrder({
+      userId: req.user.id,
       shippingAddress: req.body.shippingAddress,
-      paymentInfo: {
-        method: req.body.paymentInfo.method,
-        reference: req.body.paymentInfo.reference,
-        transactionId: req.body.paymentInfo.transactionId
-      },
-      pricing: {
-        subtotal,
-        shippingCost,
-        tax,
-        discount,
-        total
-      }
+      paymentMethod,
+      paymentReference: req.body.paymentInfo.reference
     });
-
-    // Update product inventory
-    for (const item of cart.items) {
-      await Product.findByIdAndUpdate(
-        item.product._id,
-        { 
-          $inc: { 
-            'inventory.quantity': -item.quantity,
-            totalSales: item.quantity
-          }
-        }
-      );
+    await notifyOrderPlaced(order);
+    await emailOrderPlaced(order);
+    publishOrderCreated(order);
+    publishOrderUpdated(order);
+
+    // Start the online payment; the buyer can retry from /api/payments if this fails
+    let payment = null;
+    const provider = getPaymentProvider(paymentMethod);
+    if (provider) {
+      try {
+        payment = await provider.initializePayment(order, req.user.email);
+        recordPaymentReference(order, payment.reference);
+        await order.save();
+      } catch (paymentError) {
+        console.error(`Initialize ${provider.name} payment error:`, paymentError);
+      }
     }
 
-    // Clear cart
-    cart.clearCart();
-    await cart.save();
-
-    // Add initial timeline entry
-    order.addTimelineEntry('pending', 'Order placed successfully', req.user.id);
-    await order.save();
-
     // Populate order for response
     await order.populate([
       { path: 'items.product', select: 'name images price' },
@@ -121,9 +134,17 @@ router.post('/', protect, [
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
-      data: order
+      data: order,
+      payment
     });
   } catch (error) {
+    // Checkout rejections carry their own status and details (failed lines, undeliverable stores)
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        ...error.details
+      });
+    }
     console.error('Create order error:', error);
     res.status(500).json({ message: 'Server error creating order' });
   }
@@ -170,7 +191,7 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
-// @desc    Get seller's orders
+// @desc    Get seller's fulfilments
 // @route   GET /api/orders/seller/dashboard
 // @access  Private (Sellers only)
 router.get('/seller/dashboard', protect, restrictTo('seller', 'admin'), async (req, res) => {
@@ -179,24 +200,54 @@ router.get('/seller/dashboard', protect, restrictTo('seller', 'admin'), async (r
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const filter = { 'items.seller': req.user.id };
-    
+    const sellerId = new mongoose.Types.ObjectId(req.user.id);
+    const fulfilmentFilter = { 'fulfilments.seller': sellerId };
+
     if (req.query.status) {
-      filter.status = req.query.status;
+      fulfilmentFilter['fulfilments.status'] = req.query.status;
     }
 
-    const orders = await Order.find(filter)
-      .populate('buyer', 'name email phone')
-      .populate('items.product', 'name images price')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    // One row per fulfilment, carrying only that seller's items
+    const [result] = await Order.aggregate([
+      { $match: { 'fulfilments.seller': sellerId } },
+      { $unwind: '$fulfilments' },
+      { $match: fulfilmentFilter },
+      { $sort: { createdAt: -1 } },
+      {
+        $project: {
+          orderNumber: 1,
+          buyer: 1,
+          shippingAddress: 1,
+          'paymentInfo.method': 1,
+          'paymentInfo.status': 1,
+          createdAt: 1,
+          fulfilment: '$fulfilments',
+          items: {
+            $filter: {
+              input: '$items',
+              as: 'item',
+              cond: { $in: ['$$item._id', '$fulfilments.items'] }
+            }
+          }
+        }
+      },
+      {
+        $facet: {
+          data: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
 
-    const total = await Order.countDocuments(filter);
+    const fulfilments = await Order.populate(result.data, [
+      { path: 'buyer', select: 'name email phone' },
+      { path: 'items.product', select: 'name images price' }
+    ]);
+    const total = result.total[0]?.count || 0;
 
     res.json({
       success: true,
-      data: orders,
+      data: fulfilments,
       pagination: {
         page,
         limit,
@@ -242,12 +293,13 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
-// @desc    Update order status (sellers and admin)
+// @desc    Update fulfilment status (sellers and admin)
 // @route   PUT /api/orders/:id/status
 // @access  Private
 router.put('/:id/status', protect, [
   body('status').isIn(['confirmed', 'processing', 'shipped', 'delivered', 'cancelled']).withMessage('Invalid status'),
-  body('message').optional().trim().isLength({ max: 200 }).withMessage('Message too long')
+  body('message').optional().trim().isLength({ max: 200 }).withMessage('Message too long'),
+  body('fulfilmentId').optional().isMongoId().withMessage('Invalid fulfilment ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -258,37 +310,80 @@ router.put('/:id/status', protect, [
       });
     }
 
-    const { status, message, trackingNumber, carrier } = req.body;
+    const { status, message, trackingNumber, carrier, fulfilmentId } = req.body;
     
     const order = await Order.findById(req.params.id);
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    // Check authorization
-    const canUpdate = req.user.type === 'admin' || 
-                     order.items.some(item => item.seller.toString() === req.user.id);
-    
-    if (!canUpdate) {
+    // Sellers only ever touch their own fulfilments; admins can touch any
+    const role = order.getRoleFor(req.user);
+    if (!['seller', 'admin'].includes(role)) {
       return res.status(403).json({ message: 'Not authorized to update this order' });
     }
+    let fulfilments = role === 'admin' ? order.fulfilments : order.getSellerFulfilments(req.user.id);
 
-    // Update tracking info if provided
-    if (trackingNumber) order.tracking.trackingNumber = trackingNumber;
-    if (carrier) order.tracking.carrier = carrier;
+    if (fulfilmentId) {
+      fulfilments = fulfilments.filter(fulfilment => fulfilment._id.toString() === fulfilmentId);
+      if (fulfilments.length === 0) {
+        return res.status(404).json({ message: 'Fulfilment not found' });
+      }
+    }
 
-    // Set timestamps based on status
-    if (status === 'shipped' && !order.tracking.shippedAt) {
-      order.tracking.shippedAt = new Date();
+    if (status === 'cancelled') {
+      await cancelFulfilments(order, {
+        fulfilments,
+        message: message || 'Order cancelled by seller',
+        user: req.user,
+        role
+      });
+      await notifyOrderCancelled(order, fulfilments, {
+        cancelledBy: role,
+        reason: message || 'Cancelled by the seller'
+      });
+      await emailOrderCancelled(order, fulfilments, {
+        cancelledBy: role,
+        reason: message || 'Cancelled by the seller'
+      });
+      publishOrderUpdated(order);
+
+      return res.json({
+        success: true,
+        message: 'Order status updated successfully',
+        data: order
+      });
     }
-    if (status === 'delivered' && !order.tracking.deliveredAt) {
-      order.tracking.deliveredAt = new Date();
+
+    // Orders placed before fulfilments existed keep order-level tracking
+    const trackingTargets = order.fulfilments.length > 0 ? fulfilments : [order];
+    for (const target of trackingTargets) {
+      if (trackingNumber) target.tracking.trackingNumber = trackingNumber;
+      if (carrier) target.tracking.carrier = carrier;
     }
 
-    // Add timeline entry
-    order.addTimelineEntry(status, message || `Order ${status}`, req.user.id);
+    // Throws a 409 listing the allowed next states if the move is invalid
+    order.updateFulfilments({
+      status,
+      message: message || `Order ${status}`,
+      updatedBy: req.user.id,
+      role,
+      fulfilments
+    });
+
+    if (order.fulfilments.length === 0) {
+      if (status === 'shipped' && !order.tracking.shippedAt) {
+        order.tracking.shippedAt = new Date();
+      }
+      if (status === 'delivered' && !order.tracking.deliveredAt) {
+        order.tracking.deliveredAt = new Date();
+      }
+    }
     
     await order.save();
+    await notifyOrderStatus(order, fulfilments, status);
+    await emailOrderStatus(order, fulfilments, status);
+    publishOrderUpdated(order);
 
     res.json({
       success: true,
@@ -296,56 +391,406 @@ router.put('/:id/status', protect, [
       data: order
     });
   } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ message: error.message, ...error.details });
+    }
     console.error('Update order status error:', error);
     res.status(500).json({ message: 'Server error updating order status' });
   }
 });
 
+// @desc    Request a return for delivered items
+// @route   POST /api/orders/:id/returns
+// @access  Private (order buyer)
+router.post('/:id/returns', protect, [
+  body('items').isArray({ min: 1 }).withMessage('Select at least one item to return'),
+  body('items.*.itemId').isMongoId().withMessage('Valid item ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.buyer.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to return items on this order' });
+    }
+
+    // Lines naming the same item more than once are added up, so they can't each pass
+    // the returnable-quantity check on their own
+    const requested = new Map();
+    for (const line of req.body.items) {
+      const itemId = line.itemId.toLowerCase();
+      requested.set(itemId, (requested.get(itemId) || 0) + parseInt(line.quantity));
+    }
+
+    // All selected items must come from the same fulfilment, since that seller handles the return
+    const selectedItems = [...requested].map(([itemId, quantity]) => ({ quantity, item: order.items.id(itemId) }));
+    if (selectedItems.some(line => !line.item)) {
+      return res.status(400).json({ message: 'Some selected items are not part of this order' });
+    }
+
+    const fulfilment = order.fulfilments.find(candidate =>
+      candidate.items.some(id => id.equals(selectedItems[0].item._id)));
+    if (!fulfilment) {
+      return res.status(400).json({ message: 'This order does not support returns' });
+    }
+    if (!selectedItems.every(line => fulfilment.items.some(id => id.equals(line.item._id)))) {
+      return res.status(400).json({ message: 'Request a separate return for each seller' });
+    }
+
+    if (fulfilment.status !== 'delivered' || !fulfilment.tracking.deliveredAt) {
+      return res.status(400).json({ message: 'Only delivered items can be returned' });
+    }
+
+    const returnWindowDays = getReturnWindowDays();
+    const windowEnds = new Date(fulfilment.tracking.deliveredAt.getTime() + returnWindowDays * 24 * 60 * 60 * 1000);
+    if (new Date() > windowEnds) {
+      return res.status(400).json({ message: `Returns must be requested within ${returnWindowDays} days of delivery` });
+    }
+
+    for (const line of selectedItems) {
+      const returnable = line.item.quantity - order.getReturnedQuantity(line.item._id);
+      if (line.quantity > returnable) {
+        return res.status(400).json({ message: `Only ${returnable} of an item can still be returned` });
+      }
+    }
+
+    order.returns.push({
+      fulfilment: fulfilment._id,
+      seller: fulfilment.seller,
+      items: selectedItems.map(line => ({ item: line.item._id, quantity: line.quantity })),
+      reason: req.body.reason,
+      timeline: [{ status: 'requested', message: req.body.reason, updatedBy: req.user.id }]
+    });
+    order.addTimelineNote('return_requested', `Return requested: ${req.body.reason}`, req.user.id);
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested successfully',
+      data: order.returns[order.returns.length - 1]
+    });
+  } catch (error) {
+    console.error('Request return error:', error);
+    res.status(500).json({ message: 'Server error requesting return' });
+  }
+});
+
+// @desc    Approve or reject a return request
+// @route   PUT /api/orders/:id/returns/:returnId/decision
+// @access  Private (seller on the return or admin)
+router.put('/:id/returns/:returnId/decision', protect, [
+  body('approved').isBoolean().withMessage('approved must be true or false'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { order, returnRequest } = await loadReturnForSeller(req, res);
+    if (!order) return;
+
+    if (returnRequest.status !== 'requested') {
+      return res.status(400).json({ message: `Return has already been ${returnRequest.status}` });
+    }
+
+    const status = req.body.approved ? 'approved' : 'rejected';
+    const message = req.body.note || `Return ${status}`;
+
+    returnRequest.status = status;
+    returnRequest.sellerNote = req.body.note;
+    returnRequest.timeline.push({ status, message, updatedBy: req.user.id });
+    order.addTimelineNote(`return_${status}`, message, req.user.id);
+    await order.save();
+    publishOrderUpdated(order);
+
+    res.json({
+      success: true,
+      message: `Return ${status} successfully`,
+      data: returnRequest
+    });
+  } catch (error) {
+    console.error('Return decision error:', error);
+    res.status(500).json({ message: 'Server error updating return' });
+  }
+});
+
+// @desc    Record receipt of returned goods, restock them and refund the buyer
+// @route   PUT /api/orders/:id/returns/:returnId/receive
+// @access  Private (seller on the return or admin)
+router.put('/:id/returns/:returnId/receive', protect, async (req, res) => {
+  try {
+    const { order, returnRequest } = await loadReturnForSeller(req, res);
+    if (!order) return;
+
+    if (returnRequest.status !== 'approved') {
+      return res.status(400).json({ message: 'Only approved returns can be received' });
+    }
+
+    returnRequest.receivedAt = new Date();
+    returnRequest.timeline.push({ status: 'received', message: 'Returned items received', updatedBy: req.user.id });
+    order.addTimelineNote('return_received', 'Returned items received and restocked', req.user.id);
+
+    // Restock and record receipt together
+    const restockLines = returnRequest.items.map(line => ({
+      product: order.items.id(line.item).product,
+      variantId: order.items.id(line.item).variantId,
+      quantity: line.quantity
+    }));
+    const session = await mongoose.startSession();
+    let claimed = false;
+    try {
+      await session.withTransaction(async () => {
+        // Claimed in the transaction so a concurrent receive can't restock the items twice
+        claimed = await claimReturn(order, returnRequest, 'approved', 'received', session);
+        if (!claimed) return;
+
+        await restoreStock(restockLines, session, {
+          order: order._id,
+          user: req.user.id,
+          reason: returnRequest.reason
+        }, 'return');
+        await order.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+    if (!claimed) {
+      return res.status(409).json({ message: 'Return has already been received' });
+    }
+
+    try {
+      await refundReturn(order, returnRequest, req.user.id);
+    } catch (refundError) {
+      console.error('Return refund error:', refundError);
+      await order.save();
+      publishOrderUpdated(order);
+      return res.status(refundError.statusCode || 502).json({
+        message: 'Return received, but the refund failed. Retry it from the refund endpoint.',
+        data: returnRequest
+      });
+    }
+    await order.save();
+    publishOrderUpdated(order);
+    await emailOrderRefunded(order, returnRequest);
+
+    res.json({
+      success: true,
+      message: returnRequest.status !== 'refunded'
+        ? 'Return received; refund to be settled manually'
+        : returnRequest.refund.status === 'completed' ? 'Return received and refunded' : 'Return received; refund issued and awaiting the payment provider',
+      data: returnRequest
+    });
+  } catch (error) {
+    console.error('Receive return error:', error);
+    res.status(500).json({ message: 'Server error receiving return' });
+  }
+});
+
+// @desc    Retry a failed refund, or confirm a manually settled one
+// @route   PUT /api/orders/:id/returns/:returnId/refund
+// @access  Private (seller on the return or admin)
+router.put('/:id/returns/:returnId/refund', protect, [
+  body('manual').optional().isBoolean().withMessage('manual must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { order, returnRequest } = await loadReturnForSeller(req, res);
+    if (!order) return;
+
+    if (returnRequest.status !== 'received') {
+      return res.status(400).json({ message: 'Only received returns awaiting a refund can be refunded' });
+    }
+
+    try {
+      await refundReturn(order, returnRequest, req.user.id, { manual: req.body.manual === true });
+    } catch (refundError) {
+      console.error('Return refund error:', refundError);
+      await order.save();
+      return res.status(refundError.statusCode || 502).json({ message: refundError.message || 'Refund failed' });
+    }
+    await order.save();
+    publishOrderUpdated(order);
+    await emailOrderRefunded(order, returnRequest);
+
+    res.json({
+      success: true,
+      message: returnRequest.status !== 'refunded'
+        ? 'Refund to be settled manually'
+        : returnRequest.refund.status === 'completed' ? 'Refund completed' : 'Refund issued; awaiting the payment provider',
+      data: returnRequest
+    });
+  } catch (error) {
+    console.error('Refund return error:', error);
+    res.status(500).json({ message: 'Server error refunding return' });
+  }
+});
+
 // @desc    Cancel order
 // @route   PUT /api/orders/:id/cancel
 // @access  Private
-router.put('/:id/cancel', protect, async (req, res) => {
+router.put('/:id/cancel', protect, [
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id).populate('items.product');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
 
     // Check if user can cancel this order
-    if (order.buyer.toString() !== req.user.id && req.user.type !== 'admin') {
+    const isBuyer = order.buyer.toString() === req.user.id;
+    if (!isBuyer && req.user.type !== 'admin') {
       return res.status(403).json({ message: 'Not authorized to cancel this order' });
     }
 
-    // Check if order can be cancelled
-    if (['shipped', 'delivered', 'cancelled'].includes(order.status)) {
-      return res.status(400).json({ message: 'Order cannot be cancelled at this stage' });
-    }
-
-    // Restore inventory
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(
-        item.product._id,
-        { 
-          $inc: { 
-            'inventory.quantity': item.quantity,
-            totalSales: -item.quantity
-          }
-        }
-      );
+    // Fulfilments a seller already cancelled are left alone; the rest must all be cancellable
+    const openFulfilments = order.fulfilments.filter(fulfilment => fulfilment.status !== 'cancelled');
+    if (order.fulfilments.length > 0 && openFulfilments.length === 0) {
+      return res.status(409).json({
+        message: 'Order has already been cancelled',
+        currentStatus: order.status,
+        allowedStatuses: []
+      });
     }
 
-    // Update order status
-    order.addTimelineEntry('cancelled', req.body.reason || 'Order cancelled by customer', req.user.id);
-    await order.save();
+    const role = req.user.type === 'admin' ? 'admin' : 'buyer';
+    await cancelFulfilments(order, {
+      fulfilments: openFulfilments,
+      message: req.body.reason || 'Order cancelled by customer',
+      user: req.user,
+      role
+    });
+    await notifyOrderCancelled(order, openFulfilments, {
+      cancelledBy: role,
+      reason: req.body.reason || 'Cancelled by the customer'
+    });
+    await emailOrderCancelled(order, openFulfilments, {
+      cancelledBy: role,
+      reason: req.body.reason || 'Cancelled by the customer'
+    });
+    publishOrderUpdated(order);
 
     res.json({
       success: true,
       message: 'Order cancelled successfully'
     });
   } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({ message: error.message, ...error.details });
+    }
     console.error('Cancel order error:', error);
     res.status(500).json({ message: 'Server error cancelling order' });
   }
 });
 
+// @desc    Rate a seller's delivery
+// @route   POST /api/orders/:id/feedback
+// @access  Private (order buyer)
+router.post('/:id/feedback', protect, [
+  body('fulfilmentId').optional().isMongoId().withMessage('Valid fulfilment ID is required'),
+  body('deliverySpeed').isInt({ min: 1, max: 5 }).withMessage('Delivery speed rating must be between 1 and 5'),
+  body('accuracy').isInt({ min: 1, max: 5 }).withMessage('Accuracy rating must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 500 }).withMessage('Feedback cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.buyer.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to leave feedback on this order' });
+    }
+
+    // Feedback is per seller, so orders with several sellers must say which one
+    const { fulfilmentId } = req.body;
+    if (!fulfilmentId && order.fulfilments.length > 1) {
+      return res.status(400).json({ message: 'fulfilmentId is required for orders with several sellers' });
+    }
+
+    const fulfilment = fulfilmentId ? order.fulfilments.id(fulfilmentId) : order.fulfilments[0];
+    if (!fulfilment) {
+      return res.status(404).json({ message: 'Fulfilment not found' });
+    }
+
+    if (!['delivered', 'returned'].includes(fulfilment.status)) {
+      return res.status(400).json({ message: 'Feedback can be left once the items have been delivered' });
+    }
+
+    const deliverySpeed = parseInt(req.body.deliverySpeed);
+    const accuracy = parseInt(req.body.accuracy);
+    const feedback = {
+      deliverySpeed,
+      accuracy,
+      rating: (deliverySpeed + accuracy) / 2,
+      comment: req.body.comment,
+      createdAt: new Date()
+    };
+
+    // Conditional update so feedback is only ever counted once per fulfilment
+    const result = await Order.updateOne(
+      {
+        _id: order._id,
+        fulfilments: { $elemMatch: { _id: fulfilment._id, 'feedback.createdAt': { $exists: false } } }
+      },
+      { $set: { 'fulfilments.$.feedback': feedback } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({ message: 'You have already left feedback for this delivery' });
+    }
+
+    await recordOrderFeedback(fulfilment.seller, feedback);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for your feedback',
+      data: feedback
+    });
+  } catch (error) {
+    console.error('Order feedback error:', error);
+    res.status(500).json({ message: 'Server error saving feedback' });
+  }
+});
+
 export default router;
@@ -0,0 +1,166 @@
+import express from 'express';
+import Order from '../models/Order.js';
+import { protect } from '../middleware/auth.js';
+import {
+  getPaymentProvider,
+  applyPaymentResult,
+  recordPaymentReference,
+  findOrderByReference,
+  verifyOrderPayment
+} from '../services/payments/index.js';
+import { releaseReservation } from '../services/reservations.js';
+import { publishOrderUpdated } from '../services/events.js';
+import { emailPaymentReceived } from '../services/orderEmails.js';
+
+const router = express.Router();
+
+// Save a payment result and push it to the order's users; a failed payment gives
+// its held stock straight back
+const savePaymentResult = async (order) => {
+  if (order.paymentInfo.status === 'failed' && order.reservation?.status === 'held') {
+    await releaseReservation(order, { message: 'Payment failed' });
+  } else {
+    await order.save();
+    publishOrderUpdated(order);
+    if (order.paymentInfo.status === 'completed') {
+      await emailPaymentReceived(order);
+    }
+  }
+};
+
+// @desc    (Re)start online payment for an order
+// @route   POST /api/payments/:provider/initialize/:orderId
+// @access  Private (order buyer)
+router.post('/:provider/initialize/:orderId', protect, async (req, res) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Unknown payment provider' });
+    }
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.buyer.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to pay for this order' });
+    }
+
+    if (order.paymentInfo.method !== provider.name) {
+      return res.status(400).json({ message: `Order is not payable with ${provider.name}` });
+    }
+
+    if (order.paymentInfo.status === 'completed') {
+      return res.status(400).json({ message: 'Order has already been paid' });
+    }
+
+    if (order.status === 'cancelled') {
+      return res.status(400).json({ message: 'Order has been cancelled' });
+    }
+
+    if (order.reservation?.status === 'released') {
+      return res.status(409).json({ message: 'The items on this order are no longer held, please place the order again' });
+    }
+
+    const payment = await provider.initializePayment(order, req.user.email);
+
+    // Earlier references stay valid. The hold keeps its original expiry, so retrying
+    // payment can't keep the stock held indefinitely.
+    recordPaymentReference(order, payment.reference);
+    await order.save();
+
+    res.json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    console.error('Initialize payment error:', error);
+    res.status(error.statusCode || 500).json({ message: 'Server error initializing payment' });
+  }
+});
+
+// @desc    Check an order's payment with the provider (e.g. after the redirect back)
+// @route   POST /api/payments/:provider/verify/:orderId
+// @access  Private (order buyer or admin)
+router.post('/:provider/verify/:orderId', protect, async (req, res) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Unknown payment provider' });
+    }
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.buyer.toString() !== req.user.id && req.user.type !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to verify this payment' });
+    }
+
+    if (order.paymentInfo.method !== provider.name || !order.paymentInfo.reference) {
+      return res.status(400).json({ message: 'Order has no payment to verify' });
+    }
+
+    const result = await verifyOrderPayment(provider, order);
+    if (applyPaymentResult(order, result, provider.name)) {
+      await savePaymentResult(order);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: order.paymentInfo.status,
+        paidAt: order.paymentInfo.paidAt
+      }
+    });
+  } catch (error) {
+    console.error('Verify payment error:', error);
+    res.status(error.statusCode || 500).json({ message: 'Server error verifying payment' });
+  }
+});
+
+// @desc    Payment provider webhook
+// @route   POST /api/payments/:provider/webhook
+// @access  Public (signed by the provider)
+router.post('/:provider/webhook', async (req, res) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Unknown payment provider' });
+    }
+
+    let result;
+    try {
+      result = await provider.parseWebhook(req);
+    } catch (error) {
+      if (error.statusCode === 401) {
+        return res.status(401).json({ message: 'Invalid signature' });
+      }
+      throw error;
+    }
+
+    // Acknowledge events we don't act on so the provider stops retrying them
+    if (!result?.reference) {
+      return res.sendStatus(200);
+    }
+
+    const order = await findOrderByReference(result.reference);
+    if (!order) {
+      console.warn(`${provider.name} webhook for unknown reference ${result.reference}`);
+      return res.sendStatus(200);
+    }
+
+    if (applyPaymentResult(order, result, provider.name)) {
+      await savePaymentResult(order);
+    }
+
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Server error processing webhook' });
+  }
+});
+
+export default router;
@@ -2,11 +2,34 @@ import express from 'express';
 import { body, query, validationResult } from 'express-validator';
 import Product from '../models/Product.js';
 import User from '../models/User.js';
+import Review from '../models/Review.js';
+import InventoryLedger from '../models/InventoryLedger.js';
+import Wishlist from '../models/Wishlist.js';
 import { protect, restrictTo, optionalAuth } from '../middleware/auth.js';
+import { calculateDistance } from '../utils/geo.js';
+import { adjustStock, recordStockEdits, snapshotStock } from '../services/inventory.js';
+import { notifyNewReview } from '../services/notifications.js';
+import { findDeliveredOrder, syncProductRating } from '../services/reviews.js';
+import { adjustSellerRating, recalculateSellerRating } from '../services/sellerRatings.js';
+import { snapshotPrices, queuePriceDropAlerts } from '../services/wishlists.js';
+import { searchProducts, matchExactly, SORT_OPTIONS } from '../services/search.js';
 
 const router = express.Router();
 
-// @desc    Get all products with filtering, sorting, and pagination
+// Search, facet filters, sorting and paging shared by the product listings
+const searchOptions = (query) => ({
+  search: typeof query.search === 'string' ? query.search : undefined,
+  category: typeof query.category === 'string' ? query.category : undefined,
+  brand: typeof query.brand === 'string' ? query.brand : undefined,
+  minPrice: query.minPrice ? parseFloat(query.minPrice) : undefined,
+  maxPrice: query.maxPrice ? parseFloat(query.maxPrice) : undefined,
+  rating: query.rating ? parseFloat(query.rating) : undefined,
+  sort: query.sort,
+  page: parseInt(query.page) || 1,
+  limit: parseInt(query.limit) || 12
+});
+
+// @desc    Search products with filtering, sorting, pagination and facet counts
 // @route   GET /api/products
 // @access  Public
 router.get('/', [
@@ -14,7 +37,11 @@ router.get('/', [
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('minPrice').optional().isFloat({ min: 0 }).withMessage('Min price must be non-negative'),
   query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be non-negative'),
-  query('rating').optional().isFloat({ min: 0, max: 5 }).withMessage('Rating must be between 0 and 5')
+  query('rating').optional().isFloat({ min: 0, max: 5 }).withMessage('Rating must be between 0 and 5'),
+  query('seller').optional().isMongoId().withMessage('Invalid seller ID'),
+  query('store').optional().isMongoId().withMessage('Invalid store ID'),
+  query('search').optional().isString().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+  query('sort').optional().isIn(SORT_OPTIONS).withMessage(`Sort must be one of: ${SORT_OPTIONS.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -25,87 +52,25 @@ router.get('/', [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 12;
-    const skip = (page - 1) * limit;
-
-    // Build filter object
     const filter = { status: 'active' };
-
-    // Category filter
-    if (req.query.category) {
-      filter.category = req.query.category;
-    }
-
-    // Seller filter
     if (req.query.seller) {
       filter.seller = req.query.seller;
     }
-
-    // Store filter
     if (req.query.store) {
       filter.store = req.query.store;
     }
 
-    // Price range filter
-    if (req.query.minPrice || req.query.maxPrice) {
-      filter.price = {};
-      if (req.query.minPrice) filter.price.$gte = parseFloat(req.query.minPrice);
-      if (req.query.maxPrice) filter.price.$lte = parseFloat(req.query.maxPrice);
-    }
-
-    // Rating filter
-    if (req.query.rating) {
-      filter['rating.average'] = { $gte: parseFloat(req.query.rating) };
-    }
-
-    // Search filter
-    if (req.query.search) {
-      filter.$text = { $search: req.query.search };
-    }
-
-    // Build sort object
-    let sort = {};
-    switch (req.query.sort) {
-      case 'price_asc':
-        sort = { price: 1 };
-        break;
-      case 'price_desc':
-        sort = { price: -1 };
-        break;
-      case 'rating':
-        sort = { 'rating.average': -1 };
-        break;
-      case 'newest':
-        sort = { createdAt: -1 };
-        break;
-      case 'popular':
-        sort = { totalSales: -1 };
-        break;
-      default:
-        sort = { createdAt: -1 };
-    }
-
-    // Execute query
-    const products = await Product.find(filter)
-      .populate('seller', 'name businessName rating')
-      .sort(sort)
-      .skip(skip)
-      .limit(limit)
-      .lean();
-
-    // Get total count for pagination
-    const total = await Product.countDocuments(filter);
+    const result = await searchProducts({
+      filter,
+      ...searchOptions(req.query)
+    });
 
     res.json({
       success: true,
-      data: products,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      data: result.products,
+      facets: result.facets,
+      fuzzy: result.fuzzy,
+      pagination: result.pagination
     });
   } catch (error) {
     console.error('Get products error:', error);
@@ -140,6 +105,7 @@ router.post('/', protect, restrictTo('seller', 'admin'), [
       images,
       specifications,
       variants,
+      variantCombinations,
       inventory,
       store,
       tags
@@ -156,6 +122,7 @@ router.post('/', protect, restrictTo('seller', 'admin'), [
       images: Array.isArray(images) ? images : [],
       specifications: Array.isArray(specifications) ? specifications : [],
       variants: Array.isArray(variants) ? variants : [],
+      variantCombinations: Array.isArray(variantCombinations) ? variantCombinations : [],
       inventory,
       store: store || null,
       tags: Array.isArray(tags) ? tags : [],
@@ -168,6 +135,14 @@ router.post('/', protect, restrictTo('seller', 'admin'), [
     res.status(201).json({ success: true, data: product, message: 'Product created successfully' });
   } catch (error) {
     console.error('Create product error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: Object.values(error.errors).map(err => err.message) });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'SKU is already in use' });
+    }
+
     res.status(500).json({ message: 'Server error creating product' });
   }
 });
@@ -216,7 +191,12 @@ router.get('/nearby', [
   query('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
   query('radius').optional().isFloat({ min: 0 }).withMessage('Radius must be non-negative'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('minPrice').optional().isFloat({ min: 0 }).withMessage('Min price must be non-negative'),
+  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be non-negative'),
+  query('rating').optional().isFloat({ min: 0, max: 5 }).withMessage('Rating must be between 0 and 5'),
+  query('search').optional().isString().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+  query('sort').optional().isIn(SORT_OPTIONS).withMessage(`Sort must be one of: ${SORT_OPTIONS.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -230,7 +210,6 @@ router.get('/nearby', [
     const { latitude, longitude, radius = 10000 } = req.query; // Default radius: 10km
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 12;
-    const skip = (page - 1) * limit;
 
     // Find sellers within the specified radius
     const nearbySellers = await User.find({
@@ -262,45 +241,18 @@ router.get('/nearby', [
 
     const sellerIds = nearbySellers.map(seller => seller._id);
 
-    // Build filter for products
-    const filter = { 
-      seller: { $in: sellerIds },
-      status: 'active'
-    };
-
-    // Apply additional filters if provided
-    if (req.query.category) {
-      filter.category = { $regex: new RegExp(req.query.category, 'i') };
-    }
-
-    if (req.query.minPrice || req.query.maxPrice) {
-      filter.price = {};
-      if (req.query.minPrice) filter.price.$gte = parseFloat(req.query.minPrice);
-      if (req.query.maxPrice) filter.price.$lte = parseFloat(req.query.maxPrice);
-    }
-
-    if (req.query.rating) {
-      filter['rating.average'] = { $gte: parseFloat(req.query.rating) };
-    }
-
-    // Search by name if provided
-    if (req.query.search) {
-      filter.$or = [
-        { name: { $regex: new RegExp(req.query.search, 'i') } },
-        { description: { $regex: new RegExp(req.query.search, 'i') } }
-      ];
-    }
-
-    const products = await Product.find(filter)
-      .populate('seller', 'name businessName rating address')
-      .sort({ 'rating.average': -1, createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Product.countDocuments(filter);
+    const result = await searchProducts({
+      filter: {
+        seller: { $in: sellerIds },
+        status: 'active'
+      },
+      ...searchOptions(req.query),
+      defaultSort: 'rating',
+      sellerFields: 'name businessName rating address'
+    });
 
     // Add distance information to products
-    const productsWithDistance = products.map(product => {
+    const productsWithDistance = result.products.map(product => {
       const seller = nearbySellers.find(s => s._id.toString() === product.seller._id.toString());
       const distance = seller && seller.address && seller.address.coordinates && seller.address.coordinates.coordinates ? calculateDistance(
         parseFloat(latitude), 
@@ -310,7 +262,7 @@ router.get('/nearby', [
       ) : null;
 
       return {
-        ...product.toObject(),
+        ...product,
         distance: distance ? Math.round(distance * 100) / 100 : null // Round to 2 decimal places
       };
     });
@@ -318,12 +270,9 @@ router.get('/nearby', [
     res.json({
       success: true,
       data: productsWithDistance,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      },
+      facets: result.facets,
+      fuzzy: result.fuzzy,
+      pagination: result.pagination,
       searchLocation: {
         latitude: parseFloat(latitude),
         longitude: parseFloat(longitude),
@@ -345,8 +294,7 @@ router.get('/nearby', [
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const product = await Product.findById(req.params.id)
-      .populate('seller', 'name businessName rating totalSales')
-      .populate('reviews.user', 'name avatar');
+      .populate('seller', 'name businessName rating totalSales');
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
@@ -382,11 +330,20 @@ router.put('/:id', protect, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to update this product' });
     }
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('seller', 'name businessName');
+    // Saved through the document so variant combinations are validated and stock totals kept
+    const stockBefore = snapshotStock(product);
+    const pricesBefore = snapshotPrices(product);
+    const { variantCombinations, ...updates } = req.body;
+    product.set(updates);
+    if (Array.isArray(variantCombinations)) {
+      product.mergeVariantCombinations(variantCombinations);
+    } else if (variantCombinations !== undefined) {
+      product.set({ variantCombinations });
+    }
+    await product.save();
+    await recordStockEdits(product, stockBefore, { user: req.user.id, reason: 'Product edited' });
+    await queuePriceDropAlerts(product, pricesBefore);
+    const updatedProduct = await product.populate('seller', 'name businessName');
 
     res.json({
       success: true,
@@ -395,6 +352,14 @@ router.put('/:id', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Update product error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation failed', errors: Object.values(error.errors).map(err => err.message) });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'SKU is already in use' });
+    }
+
     res.status(500).json({ message: 'Server error updating product' });
   }
 });
@@ -416,6 +381,9 @@ router.delete('/:id', protect, async (req, res) => {
     }
 
     await Product.findByIdAndDelete(req.params.id);
+    await Review.deleteMany({ product: req.params.id });
+    await Wishlist.updateMany({ 'items.product': req.params.id }, { $pull: { items: { product: req.params.id } } });
+    await recalculateSellerRating(product.seller);
 
     res.json({
       success: true,
@@ -427,6 +395,78 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
+// @desc    Get product reviews
+// @route   GET /api/products/:id/reviews
+// @access  Public (admins may include hidden reviews)
+router.get('/:id/reviews', optionalAuth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  query('sort').optional().isIn(['newest', 'oldest', 'highest', 'lowest', 'helpful']).withMessage('Invalid sort option')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const product = await Product.findById(req.params.id).select('_id');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { product: product._id };
+    if (!(req.user?.type === 'admin' && req.query.includeHidden === 'true')) {
+      filter.isHidden = false;
+    }
+    if (req.query.rating) {
+      filter.rating = parseInt(req.query.rating);
+    }
+    if (req.query.verified === 'true') {
+      filter.isVerifiedPurchase = true;
+    }
+
+    const sortOptions = {
+      newest: { createdAt: -1 },
+      oldest: { createdAt: 1 },
+      highest: { rating: -1, createdAt: -1 },
+      lowest: { rating: 1, createdAt: -1 },
+      helpful: { helpfulCount: -1, createdAt: -1 }
+    };
+
+    const reviews = await Review.find(filter)
+      .populate('user', 'name avatar')
+      .sort(sortOptions[req.query.sort || 'newest'])
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Review.countDocuments(filter);
+    const summary = await Review.getProductSummary(product._id);
+
+    res.json({
+      success: true,
+      data: reviews,
+      summary,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ message: 'Server error fetching reviews' });
+  }
+});
+
 // @desc    Add product review
 // @route   POST /api/products/:id/reviews
 // @access  Private
@@ -444,40 +484,213 @@ router.post('/:id/reviews', protect, [
     }
 
     const { rating, comment } = req.body;
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id).select('name seller');
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    // Check if user already reviewed this product
-    const existingReview = product.reviews.find(
-      review => review.user.toString() === req.user.id
-    );
+    if (product.seller.toString() === req.user.id) {
+      return res.status(403).json({ message: 'You cannot review your own product' });
+    }
 
+    // Check if user already reviewed this product
+    const existingReview = await Review.exists({ product: product._id, user: req.user.id });
     if (existingReview) {
       return res.status(400).json({ message: 'You have already reviewed this product' });
     }
 
-    // Add review
-    product.reviews.push({
+    const deliveredOrder = await findDeliveredOrder(req.user.id, product._id);
+
+    const review = await Review.create({
+      product: product._id,
+      seller: product.seller,
       user: req.user.id,
       rating,
-      comment
+      comment,
+      isVerifiedPurchase: Boolean(deliveredOrder),
+      order: deliveredOrder?._id || null
     });
 
-    await product.save();
+    await syncProductRating(product._id);
+    await adjustSellerRating(product.seller, { add: review.rating });
+    await notifyNewReview(review, product);
+    await review.populate('user', 'name avatar');
 
     res.status(201).json({
       success: true,
-      message: 'Review added successfully'
+      message: 'Review added successfully',
+      data: review
     });
   } catch (error) {
     console.error('Add review error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You have already reviewed this product' });
+    }
+
     res.status(500).json({ message: 'Server error adding review' });
   }
 });
 
+// @desc    Adjust stock by a number of units
+// @route   POST /api/products/:id/inventory/adjust
+// @access  Private (Product owner or admin)
+router.post('/:id/inventory/adjust', protect, [
+  body('change').isInt().not().equals('0').withMessage('Change must be a non-zero whole number'),
+  body('variantId').optional({ nullable: true }).isMongoId().withMessage('Valid variant ID is required'),
+  body('reason').trim().isLength({ min: 3, max: 200 }).withMessage('Reason must be between 3 and 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    if (product.seller.toString() !== req.user.id && req.user.type !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to adjust this product' });
+    }
+
+    const { variantId = null, reason } = req.body;
+    if (product.variantCombinations.length > 0 && !product.getVariant(variantId)) {
+      return res.status(400).json({ message: 'Choose which variant combination to adjust' });
+    }
+    if (product.variantCombinations.length === 0 && variantId) {
+      return res.status(400).json({ message: 'This product has no variant combinations' });
+    }
+
+    const updated = await adjustStock(
+      { product: product._id, variantId, change: parseInt(req.body.change) },
+      { user: req.user.id, reason }
+    );
+
+    if (!updated) {
+      return res.status(400).json({ message: 'Stock cannot go below zero' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: {
+        quantity: updated.inventory.quantity,
+        variantQuantity: variantId ? updated.variantCombinations.id(variantId)?.inventory.quantity : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Adjust stock error:', error);
+    res.status(500).json({ message: 'Server error adjusting stock' });
+  }
+});
+
+// @desc    Get the stock movements of a product
+// @route   GET /api/products/:id/inventory/ledger
+// @access  Private (Product owner or admin)
+router.get('/:id/inventory/ledger', protect, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('seller');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    if (product.seller.toString() !== req.user.id && req.user.type !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view this product\'s stock' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { product: product._id };
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.variantId) filter.variantId = req.query.variantId;
+
+    const entries = await InventoryLedger.find(filter)
+      .populate('user', 'name')
+      .populate('order', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await InventoryLedger.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get stock ledger error:', error);
+    res.status(500).json({ message: 'Server error fetching stock ledger' });
+  }
+});
+
+// @desc    Get the seller's products that need restocking
+// @route   GET /api/products/seller/low-stock
+// @access  Private (seller)
+router.get('/seller/low-stock', protect, restrictTo('seller'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Low overall, or with a sold-out variant combination even though the total is fine
+    const filter = {
+      seller: req.user._id,
+      status: { $in: ['active', 'out_of_stock'] },
+      $or: [
+        { $expr: { $lte: ['$inventory.quantity', '$inventory.lowStockThreshold'] } },
+        { variantCombinations: { $elemMatch: { isActive: true, 'inventory.quantity': 0 } } }
+      ]
+    };
+
+    const products = await Product.find(filter)
+      .select('name images price status inventory variantCombinations')
+      .sort({ 'inventory.quantity': 1, name: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Product.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: products.map(product => ({
+        _id: product._id,
+        name: product.name,
+        image: product.images[0]?.url,
+        price: product.price,
+        status: product.status,
+        quantity: product.inventory.quantity,
+        lowStockThreshold: product.inventory.lowStockThreshold,
+        soldOutVariants: product.variantCombinations
+          .filter(combination => combination.isActive && combination.inventory.quantity === 0)
+          .map(combination => ({ _id: combination._id, sku: combination.sku, options: Object.fromEntries(combination.options) }))
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get low stock products error:', error);
+    res.status(500).json({ message: 'Server error fetching low stock products' });
+  }
+});
+
 // @desc    Get featured products
 // @route   GET /api/products/featured
 // @access  Public
@@ -505,35 +718,38 @@ router.get('/featured/list', async (req, res) => {
 // @desc    Get products by category
 // @route   GET /api/products/category/:category
 // @access  Public
-router.get('/category/:category', async (req, res) => {
+router.get('/category/:category', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('minPrice').optional().isFloat({ min: 0 }).withMessage('Min price must be non-negative'),
+  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be non-negative'),
+  query('rating').optional().isFloat({ min: 0, max: 5 }).withMessage('Rating must be between 0 and 5'),
+  query('search').optional().isString().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+  query('sort').optional().isIn(SORT_OPTIONS).withMessage(`Sort must be one of: ${SORT_OPTIONS.join(', ')}`)
+], async (req, res) => {
   try {
-    const { category } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 12;
-    const skip = (page - 1) * limit;
-
-    const filter = { 
-      category: { $regex: new RegExp(category, 'i') },
-      status: 'active'
-    };
-
-    const products = await Product.find(filter)
-      .populate('seller', 'name businessName rating')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
 
-    const total = await Product.countDocuments(filter);
+    const result = await searchProducts({
+      filter: {
+        category: matchExactly(req.params.category),
+        status: 'active'
+      },
+      ...searchOptions(req.query)
+    });
 
     res.json({
       success: true,
-      data: products,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      data: result.products,
+      facets: result.facets,
+      fuzzy: result.fuzzy,
+      pagination: result.pagination
     });
   } catch (error) {
     console.error('Error fetching products by category:', error);
@@ -546,18 +762,4 @@ router.get('/category/:category', async (req, res) => {
 
 
 
-// Helper function to calculate distance between two points using Haversine formula
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of the Earth in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c; // Distance in kilometers
-  return distance;
-}
-
 export default router;
@@ -0,0 +1,273 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Review from '../models/Review.js';
+import { protect, restrictTo } from '../middleware/auth.js';
+import { findDeliveredOrder, syncProductRating } from '../services/reviews.js';
+import { adjustSellerRating } from '../services/sellerRatings.js';
+import { notifyReviewReply } from '../services/notifications.js';
+
+const router = express.Router();
+
+// @desc    Edit own review
+// @route   PUT /api/reviews/:id
+// @access  Private (review author)
+router.put('/:id', protect, [
+  body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.user.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized to edit this review' });
+    }
+
+    const previousRating = review.rating;
+    const ratingChanged = req.body.rating !== undefined && parseInt(req.body.rating) !== previousRating;
+    if (req.body.rating !== undefined) review.rating = req.body.rating;
+    if (req.body.comment !== undefined) review.comment = req.body.comment;
+    review.editedAt = new Date();
+
+    // The purchase may have been delivered since the review was written
+    if (!review.isVerifiedPurchase) {
+      const deliveredOrder = await findDeliveredOrder(review.user, review.product);
+      if (deliveredOrder) {
+        review.isVerifiedPurchase = true;
+        review.order = deliveredOrder._id;
+      }
+    }
+
+    await review.save();
+
+    if (ratingChanged && !review.isHidden) {
+      await syncProductRating(review.product);
+      await adjustSellerRating(review.seller, { add: review.rating, remove: previousRating });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      data: review
+    });
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({ message: 'Server error updating review' });
+  }
+});
+
+// @desc    Delete review
+// @route   DELETE /api/reviews/:id
+// @access  Private (review author or admin)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.user.toString() !== req.user.id && req.user.type !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to delete this review' });
+    }
+
+    await review.deleteOne();
+    if (!review.isHidden) {
+      await syncProductRating(review.product);
+      await adjustSellerRating(review.seller, { remove: review.rating });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({ message: 'Server error deleting review' });
+  }
+});
+
+// @desc    Reply to a review of one of your products
+// @route   PUT /api/reviews/:id/reply
+// @access  Private (product seller)
+router.put('/:id/reply', protect, restrictTo('seller'), [
+  body('comment').trim().isLength({ min: 1, max: 500 }).withMessage('Reply must be between 1 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.seller.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'You can only reply to reviews of your own products' });
+    }
+
+    review.sellerReply = {
+      comment: req.body.comment,
+      repliedAt: new Date()
+    };
+    await review.save();
+    await notifyReviewReply(review);
+
+    res.json({
+      success: true,
+      message: 'Reply saved successfully',
+      data: review
+    });
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    res.status(500).json({ message: 'Server error replying to review' });
+  }
+});
+
+// @desc    Remove seller reply
+// @route   DELETE /api/reviews/:id/reply
+// @access  Private (product seller or admin)
+router.delete('/:id/reply', protect, restrictTo('seller', 'admin'), async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.seller.toString() !== req.user.id && req.user.type !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to remove this reply' });
+    }
+
+    review.sellerReply = undefined;
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Reply removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove review reply error:', error);
+    res.status(500).json({ message: 'Server error removing reply' });
+  }
+});
+
+// @desc    Mark a review as helpful
+// @route   POST /api/reviews/:id/helpful
+// @access  Private
+router.post('/:id/helpful', protect, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id).select('user isHidden');
+    if (!review || review.isHidden) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.user.toString() === req.user.id) {
+      return res.status(400).json({ message: 'You cannot vote on your own review' });
+    }
+
+    // Conditional update so repeated or concurrent votes count once
+    await Review.updateOne(
+      { _id: review._id, helpfulVotes: { $ne: req.user._id } },
+      { $push: { helpfulVotes: req.user._id }, $inc: { helpfulCount: 1 } }
+    );
+
+    const { helpfulCount } = await Review.findById(review._id).select('helpfulCount');
+
+    res.json({
+      success: true,
+      data: { helpfulCount, voted: true }
+    });
+  } catch (error) {
+    console.error('Helpful vote error:', error);
+    res.status(500).json({ message: 'Server error recording vote' });
+  }
+});
+
+// @desc    Remove helpful vote
+// @route   DELETE /api/reviews/:id/helpful
+// @access  Private
+router.delete('/:id/helpful', protect, async (req, res) => {
+  try {
+    const result = await Review.findOneAndUpdate(
+      { _id: req.params.id, helpfulVotes: req.user._id },
+      { $pull: { helpfulVotes: req.user._id }, $inc: { helpfulCount: -1 } },
+      { new: true }
+    ).select('helpfulCount');
+
+    const review = result || await Review.findById(req.params.id).select('helpfulCount');
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    res.json({
+      success: true,
+      data: { helpfulCount: review.helpfulCount, voted: false }
+    });
+  } catch (error) {
+    console.error('Remove helpful vote error:', error);
+    res.status(500).json({ message: 'Server error removing vote' });
+  }
+});
+
+// @desc    Hide or unhide a review
+// @route   PATCH /api/reviews/:id/visibility
+// @access  Private (admin)
+router.patch('/:id/visibility', protect, restrictTo('admin'), [
+  body('isHidden').isBoolean().withMessage('isHidden must be a boolean'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const isHidden = req.body.isHidden === true || req.body.isHidden === 'true';
+    const visibilityChanged = review.isHidden !== isHidden;
+    review.isHidden = isHidden;
+    review.moderation = {
+      reason: req.body.reason,
+      moderatedBy: req.user._id,
+      moderatedAt: new Date()
+    };
+    await review.save();
+
+    if (visibilityChanged) {
+      await syncProductRating(review.product);
+      await adjustSellerRating(review.seller, isHidden ? { remove: review.rating } : { add: review.rating });
+    }
+
+    res.json({
+      success: true,
+      message: `Review ${isHidden ? 'hidden' : 'restored'} successfully`,
+      data: review
+    });
+  } catch (error) {
+    console.error('Review visibility error:', error);
+    res.status(500).json({ message: 'Server error updating review visibility' });
+  }
+});
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { getSuggestions } from '../services/suggestions.js';
+
+const router = express.Router();
+
+// @desc    Autocomplete suggestions for the search box
+// @route   GET /api/search/suggest
+// @access  Public
+router.get('/suggest', [
+  query('q').isString().trim().isLength({ min: 1, max: 50 }).withMessage('q must be between 1 and 50 characters'),
+  query('limit').optional().isInt({ min: 1, max: 10 }).withMessage('Limit must be between 1 and 10')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const suggestions = await getSuggestions(req.query.q, parseInt(req.query.limit) || 5);
+
+    res.json({
+      success: true,
+      data: suggestions
+    });
+  } catch (error) {
+    console.error('Search suggestions error:', error);
+    res.status(500).json({ message: 'Server error fetching search suggestions' });
+  }
+});
+
+export default router;
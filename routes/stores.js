@@ -3,6 +3,12 @@ import Store from '../models/Store.js';
 import { protect, restrictTo } from '../middleware/auth.js';
 const router = express.Router();
 
+// Sellers must verify their email before a store can go live
+const unverifiedPublishResponse = (res) => res.status(403).json({
+  success: false,
+  message: 'Please verify your email address before publishing a store'
+});
+
 // Get all public stores with locations (for marketplace map)
 router.get('/public', async (req, res) => {
   try {
@@ -111,6 +117,10 @@ router.post('/', protect, restrictTo('seller'), async (req, res) => {
 
     const { name, slug, description, template, components, styles, settings, pages } = req.body;
 
+    if (settings?.isPublished && !req.user.isVerified) {
+      return unverifiedPublishResponse(res);
+    }
+
     // Check if store name already exists for this seller
     const existingStore = await Store.findOne({ 
       seller: req.user.id, 
@@ -195,6 +205,10 @@ router.put('/:id', protect, restrictTo('seller'), async (req, res) => {
 
     const { name, description, template, components, styles, settings, pages } = req.body;
 
+    if (settings?.isPublished && !store.settings.isPublished && !req.user.isVerified) {
+      return unverifiedPublishResponse(res);
+    }
+
     // Update fields if provided
     if (name !== undefined) store.name = name.trim();
     if (description !== undefined) store.description = description?.trim();
@@ -254,6 +268,10 @@ router.patch('/:id/publish', protect, restrictTo('seller'), async (req, res) =>
 
     const { isPublished } = req.body;
 
+    if (isPublished && !req.user.isVerified) {
+      return unverifiedPublishResponse(res);
+    }
+
     if (isPublished) {
       await store.publish();
     } else {
@@ -549,40 +567,7 @@ router.post('/:id/validate-delivery', async (req, res) => {
       });
     }
 
-    const zones = store.settings?.shipping?.zones || [];
-    const activeZones = zones.filter(zone => zone.isActive !== false);
-
-    let availableZones = [];
-
-    for (const zone of activeZones) {
-      if (zone.deliveryType === 'state-based' && state) {
-        // Case-insensitive state matching
-        const stateMatches = zone.states.some(zoneState => 
-          zoneState.toLowerCase() === state.toLowerCase()
-        );
-        if (stateMatches) {
-          availableZones.push(zone);
-        }
-      } else if (zone.deliveryType === 'radius-based' && location) {
-        // Calculate distance using Haversine formula
-        const distance = calculateDistance(
-          location.latitude,
-          location.longitude,
-          zone.location.latitude,
-          zone.location.longitude
-        );
-        
-        if (distance <= zone.radius) {
-          availableZones.push({
-            ...zone,
-            distance: Math.round(distance * 100) / 100 // Round to 2 decimal places
-          });
-        }
-      }
-    }
-
-    // Sort by cost (cheapest first)
-    availableZones.sort((a, b) => a.cost - b.cost);
+    const availableZones = store.findDeliveryZones({ state, location });
 
     res.json({
       success: true,
@@ -601,18 +586,4 @@ router.post('/:id/validate-delivery', async (req, res) => {
   }
 });
 
-// Helper function to calculate distance between two coordinates
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of the Earth in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c; // Distance in kilometers
-  return distance;
-}
-
 export default router;
@@ -1,9 +1,11 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import User from '../models/User.js';
 import Product from '../models/Product.js';
 import Order from '../models/Order.js';
 import { protect, restrictTo } from '../middleware/auth.js';
+import { getSellerRatingBreakdown } from '../services/sellerRatings.js';
+import { getAbandonedCartReport } from '../services/abandonedCarts.js';
 
 const router = express.Router();
 
@@ -126,6 +128,34 @@ router.get('/seller/stats', protect, restrictTo('seller', 'admin'), async (req,
   }
 });
 
+// @desc    Get value of seller's products left in abandoned carts
+// @route   GET /api/users/seller/abandoned-carts
+// @access  Private (Seller/Admin)
+router.get('/seller/abandoned-carts', protect, restrictTo('seller', 'admin'), [
+  query('days').optional().isInt({ min: 1, max: 90 }).withMessage('Days must be between 1 and 90')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const days = parseInt(req.query.days) || 30;
+    const report = await getAbandonedCartReport(req.user.id, { days });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get abandoned cart report error:', error);
+    res.status(500).json({ message: 'Server error fetching abandoned cart report' });
+  }
+});
+
 // @desc    Get top sellers
 // @route   GET /api/users/sellers/top
 // @access  Public
@@ -174,6 +204,8 @@ router.get('/sellers/:id/profile', async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(6);
 
+    const ratingBreakdown = await getSellerRatingBreakdown(seller);
+
     res.json({
       success: true,
       data: {
@@ -184,6 +216,7 @@ router.get('/sellers/:id/profile', async (req, res) => {
             totalOrders
           }
         },
+        ratingBreakdown,
         recentProducts
       }
     });
@@ -0,0 +1,124 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Wishlist from '../models/Wishlist.js';
+import Product from '../models/Product.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const populateWishlist = (wishlist) => wishlist.populate({
+  path: 'items.product',
+  select: 'name price originalPrice images inventory status variants variantCombinations',
+  populate: {
+    path: 'seller',
+    select: 'name businessName'
+  }
+});
+
+// @desc    Get user's wishlist
+// @route   GET /api/wishlist
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    let wishlist = await Wishlist.findOne({ user: req.user.id });
+    if (!wishlist) {
+      wishlist = await Wishlist.create({ user: req.user.id, items: [] });
+    }
+    await populateWishlist(wishlist);
+
+    res.json({
+      success: true,
+      data: wishlist
+    });
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    res.status(500).json({ message: 'Server error fetching wishlist' });
+  }
+});
+
+// @desc    Add item to wishlist, or update its alerts if it is already there
+// @route   POST /api/wishlist
+// @access  Private
+router.post('/', protect, [
+  body('productId').isMongoId().withMessage('Valid product ID is required'),
+  body('variantId').optional({ nullable: true }).isMongoId().withMessage('Valid variant ID is required'),
+  body('alerts.priceDrop').optional().isBoolean().withMessage('alerts.priceDrop must be true or false'),
+  body('alerts.backInStock').optional().isBoolean().withMessage('alerts.backInStock must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { productId, variantId = null, alerts = {} } = req.body;
+
+    const product = await Product.findById(productId);
+    if (!product || !['active', 'out_of_stock'].includes(product.status)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (variantId && !product.getVariant(variantId)) {
+      return res.status(400).json({ message: 'Please choose one of the available options' });
+    }
+
+    let wishlist = await Wishlist.findOne({ user: req.user.id });
+    if (!wishlist) {
+      wishlist = new Wishlist({ user: req.user.id, items: [] });
+    }
+
+    let item = wishlist.findItem(productId, variantId);
+    if (!item) {
+      wishlist.items.push({
+        product: productId,
+        variantId,
+        alertPrice: product.getPriceFor(variantId)
+      });
+      item = wishlist.items[wishlist.items.length - 1];
+    }
+    if (alerts.priceDrop !== undefined) item.alerts.priceDrop = alerts.priceDrop;
+    if (alerts.backInStock !== undefined) item.alerts.backInStock = alerts.backInStock;
+
+    await wishlist.save();
+    await populateWishlist(wishlist);
+
+    res.json({
+      success: true,
+      message: 'Item saved to wishlist',
+      data: wishlist
+    });
+  } catch (error) {
+    console.error('Add to wishlist error:', error);
+    res.status(500).json({ message: 'Server error adding item to wishlist' });
+  }
+});
+
+// @desc    Remove item from wishlist
+// @route   DELETE /api/wishlist/:itemId
+// @access  Private
+router.delete('/:itemId', protect, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user.id });
+    const item = wishlist?.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Wishlist item not found' });
+    }
+
+    item.deleteOne();
+    await wishlist.save();
+    await populateWishlist(wishlist);
+
+    res.json({
+      success: true,
+      message: 'Item removed from wishlist',
+      data: wishlist
+    });
+  } catch (error) {
+    console.error('Remove from wishlist error:', error);
+    res.status(500).json({ message: 'Server error removing item from wishlist' });
+  }
+});
+
+export default router;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+// Load environment variables
+dotenv.config();
+
+// Give orders placed before per-seller fulfilments existed one fulfilment per seller/store,
+// carrying over the order-level status and tracking
+async function backfillFulfilments() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const orders = await Order.find({
+      $or: [{ fulfilments: { $exists: false } }, { fulfilments: { $size: 0 } }]
+    });
+    console.log(`Found ${orders.length} orders without fulfilments`);
+
+    for (const order of orders) {
+      for (const item of order.items) {
+        if (!item.store) {
+          const product = await Product.findById(item.product).select('store');
+          item.store = product?.store || null;
+        }
+      }
+
+      order.buildFulfilments();
+      for (const fulfilment of order.fulfilments) {
+        fulfilment.tracking = order.tracking;
+      }
+
+      await order.save();
+      console.log(`✅ ${order.orderNumber}: ${order.fulfilments.length} fulfilment(s)`);
+    }
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+backfillFulfilments();
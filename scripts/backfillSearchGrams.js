@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Product from '../models/Product.js';
+
+// Load environment variables
+dotenv.config();
+
+// Fill in the trigrams typo-tolerant search uses for products saved before it
+// existed. Safe to re-run: every product's trigrams are rebuilt.
+async function backfillSearchGrams() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    let updated = 0;
+    for await (const product of Product.find().select('name brand subcategory tags').cursor()) {
+      await Product.updateOne({ _id: product._id }, { searchGrams: product.buildSearchGrams() }, { timestamps: false });
+      updated += 1;
+    }
+    console.log(`✅ Rebuilt search trigrams for ${updated} products`);
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+backfillSearchGrams();
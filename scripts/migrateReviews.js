@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Product from '../models/Product.js';
+import Review from '../models/Review.js';
+import { findDeliveredOrder, syncProductRating } from '../services/reviews.js';
+
+// Load environment variables
+dotenv.config();
+
+// Move reviews embedded in products into the Review collection. Safe to re-run:
+// reviews that already exist for the same product and user are left alone.
+async function migrateReviews() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Read the raw documents, the Product schema no longer has a reviews field
+    const products = await Product.collection
+      .find({ 'reviews.0': { $exists: true } }, { projection: { seller: 1, reviews: 1 } })
+      .toArray();
+    console.log(`Found ${products.length} products with embedded reviews`);
+
+    for (const product of products) {
+      let created = 0;
+
+      for (const embedded of product.reviews) {
+        const deliveredOrder = await findDeliveredOrder(embedded.user, product._id);
+
+        const result = await Review.updateOne(
+          { product: product._id, user: embedded.user },
+          {
+            $setOnInsert: {
+              product: product._id,
+              seller: product.seller,
+              user: embedded.user,
+              rating: embedded.rating,
+              comment: embedded.comment,
+              isVerifiedPurchase: Boolean(deliveredOrder),
+              order: deliveredOrder?._id || null,
+              createdAt: embedded.createdAt || new Date(),
+              updatedAt: embedded.createdAt || new Date()
+            }
+          },
+          { upsert: true, timestamps: false }
+        );
+        created += result.upsertedCount;
+      }
+
+      await Product.collection.updateOne({ _id: product._id }, { $unset: { reviews: '' } });
+      const rating = await syncProductRating(product._id);
+      console.log(`✅ ${product._id}: ${created} review(s) moved, rating ${rating.average} (${rating.count})`);
+    }
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+migrateReviews();
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import { recalculateSellerRating } from '../services/sellerRatings.js';
+
+// Load environment variables
+dotenv.config();
+
+// Rebuild every seller's rating from reviews and order feedback. Run after
+// migrateReviews.js, or whenever the incremental totals need repairing.
+async function recalculateSellerRatings() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const sellers = await User.find({ type: 'seller' }).select('_id businessName name');
+    console.log(`Found ${sellers.length} sellers`);
+
+    for (const seller of sellers) {
+      const rating = await recalculateSellerRating(seller._id);
+      console.log(`✅ ${seller.businessName || seller.name}: ${rating.average} (${rating.count})`);
+    }
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+recalculateSellerRatings();
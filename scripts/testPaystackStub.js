@@ -0,0 +1,75 @@
+import http from 'http';
+import crypto from 'crypto';
+
+// Exercise the Paystack service against a local stub server instead of api.paystack.co
+process.env.PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY || 'sk_test_stub';
+
+const { initializePayment, verifyPayment, verifyWebhookSignature } = await import('../services/payments/paystack.js');
+
+const stub = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.headers.authorization !== `Bearer ${process.env.PAYSTACK_SECRET_KEY}`) {
+      res.statusCode = 401;
+      return res.end(JSON.stringify({ status: false, message: 'Invalid key' }));
+    }
+
+    if (req.method === 'POST' && req.url === '/transaction/initialize') {
+      const payload = JSON.parse(body);
+      return res.end(JSON.stringify({
+        status: true,
+        data: {
+          authorization_url: `https://checkout.paystack.test/${payload.reference}`,
+          access_code: 'stub_access_code',
+          reference: payload.reference
+        }
+      }));
+    }
+
+    if (req.method === 'GET' && req.url.startsWith('/transaction/verify/')) {
+      return res.end(JSON.stringify({
+        status: true,
+        data: { id: 1, reference: decodeURIComponent(req.url.split('/').pop()), status: 'success', amount: 1500000, currency: 'NGN' }
+      }));
+    }
+
+    res.statusCode = 404;
+    res.end(JSON.stringify({ status: false, message: 'Not found' }));
+  });
+});
+
+async function testPaystack() {
+  await new Promise(resolve => stub.listen(0, resolve));
+  process.env.PAYSTACK_BASE_URL = `http://127.0.0.1:${stub.address().port}`;
+  console.log('🧪 Paystack stub listening on', process.env.PAYSTACK_BASE_URL);
+
+  try {
+    const order = {
+      _id: '64b7f0f0f0f0f0f0f0f0f0f0',
+      orderNumber: 'AMF1234560001',
+      pricing: { total: 15000 }
+    };
+
+    const payment = await initializePayment(order, 'buyer@example.com');
+    console.log('✅ Initialized transaction:', payment);
+
+    const transaction = await verifyPayment(payment.reference);
+    console.log('✅ Verified transaction:', transaction);
+
+    const rawBody = Buffer.from(JSON.stringify({ event: 'charge.success', data: { reference: payment.reference } }));
+    const signature = crypto.createHmac('sha512', process.env.PAYSTACK_SECRET_KEY).update(rawBody).digest('hex');
+
+    console.log(verifyWebhookSignature(rawBody, signature) ? '✅ Valid signature accepted' : '❌ Valid signature rejected');
+    console.log(!verifyWebhookSignature(rawBody, 'bad-signature') ? '✅ Bad signature rejected' : '❌ Bad signature accepted');
+  } catch (error) {
+    console.error('💥 Test failed with error:', error);
+    process.exitCode = 1;
+  } finally {
+    stub.close();
+  }
+}
+
+testPaystack();
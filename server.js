@@ -12,10 +12,25 @@ import productRoutes from './routes/products.js';
 import orderRoutes from './routes/orders.js';
 import cartRoutes from './routes/cart.js';
 import storeRoutes from './routes/stores.js';
+import paymentRoutes from './routes/payments.js';
+import couponRoutes from './routes/coupons.js';
+import reviewRoutes from './routes/reviews.js';
+import notificationRoutes from './routes/notifications.js';
+import eventRoutes from './routes/events.js';
+import wishlistRoutes from './routes/wishlist.js';
+import adminRoutes from './routes/admin.js';
+import searchRoutes from './routes/search.js';
+import { startWorker } from './services/jobs/index.js';
+import { setupJobs } from './services/jobs/handlers.js';
+import { getTransport } from './services/mail/index.js';
+import { startEventRelay } from './services/events.js';
 
 // Load environment variables
 dotenv.config();
 
+// Fail fast on a mail setup that would leak account links into the logs
+getTransport();
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -45,7 +60,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Cart-Token'],
   optionsSuccessStatus: 204
 };
 app.use(cors(corsOptions));
@@ -65,7 +80,13 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body around for webhook signature checks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // MongoDB connection
@@ -73,7 +94,22 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/amify', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+  startEventRelay();
+  // Jobs (order emails, expired stock holds) run in the API process unless turned off
+  // for deployments that run worker.js; sharing the queue with it is safe either way
+  if (process.env.RUN_JOBS_IN_SERVER !== 'false') {
+    setupJobs()
+      .then(() => {
+        const worker = startWorker();
+        console.log(`⚙️  Job worker ${worker.workerId} started`);
+      })
+      .catch((err) => console.error('❌ Job worker failed to start:', err));
+  } else {
+    console.warn('⚠️  RUN_JOBS_IN_SERVER=false: queued emails and expired stock holds need a worker (npm run worker)');
+  }
+})
 .catch((err) => console.error('❌ MongoDB connection error:', err));
 
 // Routes
@@ -83,6 +119,14 @@ app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/stores', storeRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/search', searchRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
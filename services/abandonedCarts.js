@@ -0,0 +1,213 @@
+import mongoose from 'mongoose';
+import Cart from '../models/Cart.js';
+import Coupon from '../models/Coupon.js';
+import User from '../models/User.js';
+import { notify } from './notifications.js';
+import { enqueueMail } from './mail/queue.js';
+import { cartReminder } from './mail/templates/carts.js';
+
+// Read lazily so values from .env are picked up after dotenv has run
+const getAbandonedCartHours = () => parseInt(process.env.ABANDONED_CART_HOURS) || 24;
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Carts idle for longer than this aren't reminded, so old carts don't all get an
+// email the first time the job runs
+const REMINDER_WINDOW_DAYS = 7;
+const REMINDER_BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A cart counts as abandoned once it has gone untouched this long
+export const getAbandonedCutoff = () => new Date(Date.now() - getAbandonedCartHours() * 60 * 60 * 1000);
+
+// One live cart-recovery coupon per seller, skipping any the buyer has used up
+const findRecoveryCoupons = async (sellerIds, userId) => {
+  const now = new Date();
+  const coupons = await Coupon.find({
+    seller: { $in: sellerIds },
+    cartRecovery: true,
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] }
+    ]
+  }).populate('seller', 'name businessName');
+
+  const bySeller = new Map();
+  for (const coupon of coupons) {
+    if (!coupon.seller) continue;
+    const sellerId = coupon.seller._id.toString();
+    if (bySeller.has(sellerId)) continue;
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) continue;
+    if (coupon.redemptionsBy(userId) >= coupon.perUserLimit) continue;
+
+    bySeller.set(sellerId, {
+      code: coupon.code,
+      description: coupon.description,
+      seller: coupon.seller.businessName || coupon.seller.name
+    });
+  }
+  return [...bySeller.values()];
+};
+
+// Remind one buyer about their cart, in-app and by email unless they opted out
+const remindBuyer = async (cart) => {
+  const lines = cart.items.filter(item => item.product?.status === 'active');
+  if (lines.length === 0) return false;
+
+  const user = await User.findById(cart.user).select('name email notificationPreferences');
+  if (!user) return false;
+
+  const items = lines.map(item => ({ name: item.product.name, quantity: item.quantity }));
+  const total = lines.reduce((sum, item) => sum + item.product.getPriceFor(item.variantId) * item.quantity, 0);
+  const sellerIds = [...new Set(lines.map(item => item.product.seller.toString()))];
+  const coupons = await findRecoveryCoupons(sellerIds, user._id);
+  const link = `${getFrontendUrl()}/cart`;
+
+  await notify(user._id, {
+    type: 'cart_reminder',
+    title: 'You left something in your cart',
+    message: `${items.length} item(s) are waiting for you${coupons.length > 0 ? `; use ${coupons.map(coupon => coupon.code).join(', ')} at checkout` : ''}.`,
+    data: { cart: cart._id, link, coupons: coupons.map(coupon => coupon.code) }
+  });
+
+  if (user.notificationPreferences?.get('cart_reminder') !== false) {
+    await enqueueMail({
+      to: user.email,
+      ...cartReminder({ name: user.name, items, total, coupons, link })
+    });
+  }
+  return true;
+};
+
+// Find signed-in buyers' carts left idle past the cutoff and not reminded since they
+// last changed, and remind each buyer once. Returns the number reminded.
+export const sendAbandonedCartReminders = async () => {
+  const cutoff = getAbandonedCutoff();
+  const carts = await Cart.find({
+    user: { $exists: true, $ne: null },
+    'items.0': { $exists: true },
+    updatedAt: { $lte: cutoff, $gte: new Date(cutoff.getTime() - REMINDER_WINDOW_DAYS * DAY_MS) },
+    $or: [
+      { reminderSentAt: null },
+      { $expr: { $lt: ['$reminderSentAt', '$updatedAt'] } }
+    ]
+  })
+    .limit(REMINDER_BATCH_SIZE)
+    .populate('items.product', 'name price status seller variantCombinations');
+
+  let reminded = 0;
+  for (const cart of carts) {
+    try {
+      if (await remindBuyer(cart)) {
+        reminded += 1;
+      }
+      // Recorded even when there was nothing to remind about, so the cart isn't picked up again
+      await Cart.updateOne({ _id: cart._id }, { reminderSentAt: new Date() }, { timestamps: false });
+    } catch (error) {
+      console.error(`Abandoned cart reminder error for cart ${cart._id}:`, error);
+    }
+  }
+
+  return reminded;
+};
+
+// Value of the seller's products sitting in abandoned carts that were last touched
+// in the past `days` days, in total and per product
+export const getAbandonedCartReport = async (sellerId, { days = 30 } = {}) => {
+  const cutoff = getAbandonedCutoff();
+  const since = new Date(Date.now() - days * DAY_MS);
+
+  const [report] = await Cart.aggregate([
+    { $match: { 'items.0': { $exists: true }, updatedAt: { $lte: cutoff, $gte: since } } },
+    { $unwind: '$items' },
+    {
+      $lookup: {
+        from: 'products',
+        localField: 'items.product',
+        foreignField: '_id',
+        as: 'product'
+      }
+    },
+    { $unwind: '$product' },
+    { $match: { 'product.seller': new mongoose.Types.ObjectId(sellerId) } },
+    {
+      $addFields: {
+        // Variant combination price where the line has one, else the product price
+        unitPrice: {
+          $ifNull: [
+            {
+              $arrayElemAt: [{
+                $map: {
+                  input: {
+                    $filter: {
+                      input: '$product.variantCombinations',
+                      cond: { $eq: ['$$this._id', '$items.variantId'] }
+                    }
+                  },
+                  in: '$$this.price'
+                }
+              }, 0]
+            },
+            '$product.price'
+          ]
+        }
+      }
+    },
+    { $addFields: { value: { $multiply: ['$unitPrice', '$items.quantity'] } } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              value: { $sum: '$value' },
+              quantity: { $sum: '$items.quantity' },
+              carts: { $addToSet: '$_id' },
+              reminded: { $addToSet: { $cond: [{ $ifNull: ['$reminderSentAt', false] }, '$_id', '$$REMOVE'] } }
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              value: 1,
+              quantity: 1,
+              cartCount: { $size: '$carts' },
+              remindedCount: { $size: '$reminded' }
+            }
+          }
+        ],
+        products: [
+          {
+            $group: {
+              _id: '$product._id',
+              name: { $first: '$product.name' },
+              value: { $sum: '$value' },
+              quantity: { $sum: '$items.quantity' },
+              carts: { $addToSet: '$_id' }
+            }
+          },
+          { $sort: { value: -1 } },
+          { $limit: 20 },
+          {
+            $project: {
+              _id: 0,
+              product: '$_id',
+              name: 1,
+              value: 1,
+              quantity: 1,
+              cartCount: { $size: '$carts' }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    days,
+    abandonedAfterHours: getAbandonedCartHours(),
+    totals: report.totals[0] || { value: 0, quantity: 0, cartCount: 0, remindedCount: 0 },
+    products: report.products
+  };
+};
@@ -0,0 +1,174 @@
+import Cart, { MAX_LINE_QUANTITY } from '../models/Cart.js';
+import Product from '../models/Product.js';
+
+// Check a product (and variant combination, if it has them) can supply a quantity;
+// returns an error message or null
+export const checkAvailability = (product, variantId, quantity) => {
+  if (!product || product.status !== 'active') {
+    return 'Product is not available';
+  }
+
+  if (product.variantCombinations.length > 0) {
+    const variant = product.getVariant(variantId);
+    if (!variant) {
+      return 'Please choose one of the available options';
+    }
+    if (!variant.isActive) {
+      return 'This option is not available';
+    }
+  } else if (variantId) {
+    return 'This product has no options to choose from';
+  }
+
+  const available = product.getAvailableQuantity(variantId);
+  if (available < quantity) {
+    return `Only ${available} items available in stock`;
+  }
+
+  return null;
+};
+
+// Move a guest's cart into the user's cart and delete it. Quantities of matching lines
+// are added up to the line cap, and only as far as stock allows. Returns the lines
+// that could not be moved in full, or null if there was no guest cart.
+export const mergeGuestCart = async (guestId, userId) => {
+  const guestCart = await Cart.findOne({ guestId });
+  if (!guestCart) return null;
+
+  const cart = await Cart.findOne({ user: userId }) || new Cart({ user: userId, items: [] });
+  const products = await Product.find({ _id: { $in: guestCart.items.map(item => item.product) } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  const adjusted = [];
+
+  for (const line of guestCart.items) {
+    const product = productsById.get(line.product.toString());
+    const inCart = cart.getQuantity(line.product, line.variantId);
+    const wanted = Math.min(inCart + line.quantity, MAX_LINE_QUANTITY);
+
+    let quantity = wanted;
+    if (checkAvailability(product, line.variantId, wanted)) {
+      // Take what stock is left, or nothing if the product can't be bought at all
+      quantity = checkAvailability(product, line.variantId, 1)
+        ? inCart
+        : Math.max(inCart, Math.min(wanted, product.getAvailableQuantity(line.variantId)));
+    }
+
+    if (quantity > inCart) {
+      cart.addItem(line.product, quantity - inCart, line.variantId, line.priceAtAdd);
+    }
+    if (quantity - inCart < line.quantity) {
+      adjusted.push({
+        product: line.product,
+        variantId: line.variantId,
+        requested: line.quantity,
+        added: quantity - inCart
+      });
+    }
+  }
+
+  for (const line of guestCart.savedForLater) {
+    const saved = cart.getSavedLine(line.product, line.variantId);
+    if (saved) {
+      saved.quantity = Math.min(saved.quantity + line.quantity, MAX_LINE_QUANTITY);
+    } else {
+      cart.savedForLater.push({ product: line.product, quantity: line.quantity, variantId: line.variantId });
+    }
+  }
+
+  await cart.save();
+  await guestCart.deleteOne();
+  return adjusted;
+};
+
+// Re-check every cart line against the current products. Lines whose stock has dropped
+// below their quantity are clamped to what is left, and changed prices are reported once
+// and then taken as the line's new price (the caller saves the cart); lines that are sold
+// out or no longer sold, or whose seller is gone, stay in the cart but are left out of
+// the totals.
+// Returns each line with its flags, and subtotals per seller/store as checkout splits them.
+export const validateCart = async (cart) => {
+  await cart.populate({
+    path: 'items.product',
+    select: 'name price images inventory status seller store variantCombinations',
+    populate: [
+      { path: 'seller', select: 'name businessName' },
+      { path: 'store', select: 'name slug' }
+    ]
+  });
+
+  const lines = [];
+  const groups = new Map();
+
+  for (const item of cart.items) {
+    const product = item.product;
+    const unavailable = !product || !product.seller || !['active', 'out_of_stock'].includes(product.status) ||
+      (product.variantCombinations.length > 0 && !product.getVariant(item.variantId)?.isActive) ||
+      (product.variantCombinations.length === 0 && Boolean(item.variantId));
+    const price = product ? product.getPriceFor(item.variantId) : null;
+    const available = unavailable ? 0 : product.getAvailableQuantity(item.variantId);
+    const outOfStock = !unavailable && available === 0;
+    const requestedQuantity = item.quantity;
+
+    // Lines from before prices were recorded start from today's price
+    if (item.priceAtAdd === undefined && price !== null) {
+      item.priceAtAdd = price;
+    }
+
+    // A changed price is reported once; after that the buyer has seen the new one
+    const priceAtAdd = item.priceAtAdd ?? null;
+    const priceChanged = price !== null && priceAtAdd !== null && price !== priceAtAdd;
+    if (priceChanged) {
+      item.priceAtAdd = price;
+    }
+
+    const quantityClamped = !unavailable && !outOfStock && available < item.quantity;
+    if (quantityClamped) {
+      item.quantity = available;
+    }
+
+    const line = {
+      _id: item._id,
+      product: product ? { _id: product._id, name: product.name, images: product.images.slice(0, 1) } : null,
+      variantId: item.variantId,
+      variant: product?.describeVariant(item.variantId),
+      quantity: item.quantity,
+      requestedQuantity,
+      price,
+      priceAtAdd,
+      lineTotal: unavailable || outOfStock ? 0 : price * item.quantity,
+      flags: {
+        priceChanged,
+        outOfStock,
+        quantityClamped,
+        unavailable
+      }
+    };
+    lines.push(line);
+
+    if (line.lineTotal === 0) continue;
+
+    const key = `${product.seller._id}:${product.store?._id || ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        seller: { _id: product.seller._id, name: product.seller.name, businessName: product.seller.businessName },
+        store: product.store ? { _id: product.store._id, name: product.store.name, slug: product.store.slug } : null,
+        itemCount: 0,
+        subtotal: 0
+      });
+    }
+    const group = groups.get(key);
+    group.itemCount += item.quantity;
+    group.subtotal += line.lineTotal;
+  }
+
+  const sellers = [...groups.values()];
+  return {
+    items: lines,
+    sellers,
+    totals: {
+      totalItems: sellers.reduce((sum, group) => sum + group.itemCount, 0),
+      subtotal: sellers.reduce((sum, group) => sum + group.subtotal, 0)
+    },
+    valid: lines.every(line => !Object.values(line.flags).some(Boolean))
+  };
+};
@@ -0,0 +1,196 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Cart from '../models/Cart.js';
+import { decrementStock } from './inventory.js';
+import { getPaymentProvider, getStoresRejectingMethod } from './payments/index.js';
+import { holdReservation, commitReservation } from './reservations.js';
+import { applyFulfilmentShipping } from './shipping.js';
+import { evaluateCoupon, redeemCoupon } from './coupons.js';
+
+// details are returned to the client alongside the message
+const checkoutError = (message, statusCode, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+const describeFailedLine = (item, reason) => ({
+  product: item.product._id,
+  variantId: item.variantId || undefined,
+  name: item.product.name,
+  requested: item.quantity,
+  available: item.product.getAvailableQuantity(item.variantId),
+  reason
+});
+
+// Turn the buyer's cart into an order inside a single MongoDB transaction.
+// Stock is taken with conditional decrements, so if any line cannot be reserved
+// the order, inventory and cart all roll back together. Requires a replica set.
+// For online payments the stock is only held until the payment completes or the hold expires.
+export const placeOrder = async ({
+  userId,
+  shippingAddress,
+  paymentMethod,
+  paymentReference
+}) => {
+  const session = await mongoose.startSession();
+  let order;
+
+  try {
+    await session.withTransaction(async () => {
+      const cart = await Cart.findOne({ user: userId })
+        .populate('items.product')
+        .session(session);
+
+      if (!cart || cart.items.length === 0) {
+        throw checkoutError('Cart is empty', 400);
+      }
+
+      // Every store on the order must accept the chosen payment method
+      const storeIds = [...new Set(cart.items
+        .filter(item => item.product?.store)
+        .map(item => item.product.store.toString()))];
+      const rejectingStores = await getStoresRejectingMethod(storeIds, paymentMethod);
+      if (rejectingStores.length > 0) {
+        throw checkoutError(`Payment method not accepted by: ${rejectingStores.join(', ')}`, 400);
+      }
+
+      const missing = cart.items.filter(item => !item.product);
+      if (missing.length > 0) {
+        throw checkoutError('Some items in your cart no longer exist', 409, {
+          failedItems: missing.map(item => ({ product: null, requested: item.quantity, reason: 'not_found' }))
+        });
+      }
+
+      // Products sold in combinations need a combination that still exists
+      const invalidVariants = cart.items.filter(item =>
+        item.product.variantCombinations.length > 0 && !item.product.getVariant(item.variantId));
+      if (invalidVariants.length > 0) {
+        throw checkoutError('Some items in your cart are no longer available in the chosen options', 409, {
+          failedItems: invalidVariants.map(item => describeFailedLine(item, 'variant_not_found'))
+        });
+      }
+
+      const orderItems = cart.items.map(item => ({
+        product: item.product._id,
+        seller: item.product.seller,
+        quantity: item.quantity,
+        price: item.product.getPriceFor(item.variantId),
+        store: item.product.store || null,
+        variantId: item.variantId || null,
+        sku: item.product.getVariant(item.variantId)?.sku || item.product.inventory.sku,
+        variant: item.product.describeVariant(item.variantId)
+      }));
+
+      const orderId = new mongoose.Types.ObjectId();
+      const failedLines = await decrementStock(orderItems, session, {
+        order: orderId,
+        user: userId,
+        reason: 'Order placed'
+      });
+      if (failedLines.length > 0) {
+        const failedItems = failedLines.map(line => {
+          const item = cart.items.find(cartItem => cartItem.product._id.equals(line.product) &&
+            String(cartItem.variantId || '') === String(line.variantId || ''));
+          const reason = item.product.status !== 'active' ? 'unavailable' : 'insufficient_stock';
+          return describeFailedLine(item, reason);
+        });
+        throw checkoutError('Some items could not be reserved', 409, { failedItems });
+      }
+
+      // Payment references come from the provider, except the buyer's own bank transfer reference
+      const paymentInfo = { method: paymentMethod };
+      if (paymentMethod === 'bank_transfer' && paymentReference) {
+        paymentInfo.reference = paymentReference;
+      }
+
+      order = new Order({
+        _id: orderId,
+        buyer: userId,
+        items: orderItems,
+        shippingAddress,
+        paymentInfo
+      });
+      order.addTimelineEntry('pending', 'Order placed successfully', userId);
+      order.buildFulfilments();
+
+      // Online payments hold the stock until the provider confirms; offline ones keep it
+      if (getPaymentProvider(paymentMethod)) {
+        holdReservation(order);
+      } else {
+        commitReservation(order);
+      }
+
+      // Shipping is priced per fulfilment from the stores' delivery zones, never by the client
+      const products = new Map(cart.items.map(item => [item.product._id.toString(), item.product]));
+      const undeliverableStores = await applyFulfilmentShipping(order, products);
+      if (undeliverableStores.length > 0) {
+        throw checkoutError(
+          `Delivery to ${shippingAddress.state} is not available from: ${undeliverableStores.map(store => store.name).join(', ')}`,
+          400,
+          { undeliverableStores }
+        );
+      }
+
+      // The cart's coupon is re-checked now; the client never sends a discount amount
+      let discount = 0;
+      let couponEvaluation = null;
+      if (cart.couponCode) {
+        try {
+          couponEvaluation = await evaluateCoupon(cart.couponCode, {
+            userId,
+            lines: cart.items.map(item => ({ product: item.product, quantity: item.quantity, price: item.product.getPriceFor(item.variantId) })),
+            session
+          });
+        } catch (couponError) {
+          if (!couponError.statusCode) throw couponError;
+          throw checkoutError(`Coupon ${cart.couponCode} can no longer be used: ${couponError.message}`, 400, {
+            coupon: cart.couponCode
+          });
+        }
+
+        discount = couponEvaluation.discount;
+        if (couponEvaluation.freeShipping) {
+          // Waive shipping on the fulfilments that contain eligible items
+          const eligibleProducts = new Set(couponEvaluation.eligibleLines.map(line => line.product._id.toString()));
+          discount = order.fulfilments
+            .filter(fulfilment => order.getFulfilmentItems(fulfilment)
+              .some(item => eligibleProducts.has(item.product.toString())))
+            .reduce((sum, fulfilment) => sum + fulfilment.shippingCost, 0);
+        }
+
+        order.coupon = {
+          coupon: couponEvaluation.coupon._id,
+          code: couponEvaluation.coupon.code,
+          type: couponEvaluation.coupon.type,
+          discount
+        };
+      }
+
+      const subtotal = order.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+      const shippingCost = order.fulfilments.reduce((sum, fulfilment) => sum + fulfilment.shippingCost, 0);
+      const tax = 0; // No tax for now
+
+      order.pricing = {
+        subtotal,
+        shippingCost,
+        tax,
+        discount,
+        total: subtotal + shippingCost + tax - discount
+      };
+      await order.save({ session });
+
+      if (couponEvaluation) {
+        await redeemCoupon(couponEvaluation.coupon, { userId, orderId: order._id, discount }, session);
+      }
+
+      cart.clearCart();
+      await cart.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return order;
+};
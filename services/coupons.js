@@ -0,0 +1,94 @@
+import Coupon from '../models/Coupon.js';
+
+const couponError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Check a coupon code against a buyer and their lines ({ product, quantity, price }, product populated).
+// Returns the coupon, the lines it covers and the discount on those lines; free-shipping
+// coupons return freeShipping: true and leave the shipping amount to the caller.
+export const evaluateCoupon = async (code, { userId, lines, session }) => {
+  const coupon = await Coupon.findOne({ code: String(code).toUpperCase().trim(), isActive: true })
+    .session(session || null);
+
+  if (!coupon) {
+    throw couponError('Invalid coupon code', 404);
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw couponError('This coupon is not active yet', 400);
+  }
+  if (coupon.endsAt && coupon.endsAt < now) {
+    throw couponError('This coupon has expired', 400);
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('This coupon has reached its usage limit', 400);
+  }
+  if (coupon.redemptionsBy(userId) >= coupon.perUserLimit) {
+    throw couponError('You have already used this coupon', 400);
+  }
+
+  const eligibleLines = lines.filter(line => line.product && coupon.appliesToLine(line));
+  if (eligibleLines.length === 0) {
+    throw couponError('This coupon does not apply to any items in your cart', 400);
+  }
+
+  const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  if (eligibleSubtotal < coupon.minSpend) {
+    throw couponError(`Spend at least ₦${coupon.minSpend} on eligible items to use this coupon`, 400);
+  }
+
+  let discount = 0;
+  if (coupon.type === 'percentage') {
+    discount = eligibleSubtotal * coupon.value / 100;
+    if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+  } else if (coupon.type === 'fixed') {
+    discount = coupon.value;
+  }
+  // Never more than the eligible items cost, whatever the stored value
+  discount = Math.min(discount, eligibleSubtotal);
+
+  return {
+    coupon,
+    eligibleLines,
+    eligibleSubtotal: roundAmount(eligibleSubtotal),
+    discount: roundAmount(discount),
+    freeShipping: coupon.type === 'free_shipping'
+  };
+};
+
+// Count a redemption against the coupon, re-checking the global limit atomically
+export const redeemCoupon = async (coupon, { userId, orderId, discount }, session) => {
+  const filter = { _id: coupon._id, isActive: true };
+  if (coupon.usageLimit) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+
+  const result = await Coupon.updateOne(filter, {
+    $inc: { usedCount: 1 },
+    $push: { redemptions: { user: userId, order: orderId, discount } }
+  }, { session });
+
+  if (result.modifiedCount === 0) {
+    throw couponError('This coupon has reached its usage limit', 409);
+  }
+};
+
+// Give back the redemption of a cancelled order
+export const releaseCoupon = async (order, session) => {
+  if (!order.coupon?.coupon) return;
+
+  await Coupon.updateOne(
+    { _id: order.coupon.coupon, 'redemptions.order': order._id },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { order: order._id } }
+    },
+    { session }
+  );
+};
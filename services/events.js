@@ -0,0 +1,149 @@
+import EventLog from '../models/EventLog.js';
+
+// Server-Sent Events fan-out. Connections live in the API process that accepted them,
+// so events are written to the EventLog capped collection and each API process tails
+// it, delivering to its own clients. That way events raised by worker.js jobs or by
+// another instance reach every client.
+const clients = new Map(); // user id -> Set of open responses
+
+const RELAY_RETRY_MS = 1000;
+let relayStarted = false;
+
+export const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+export const addClient = (userId, res) => {
+  const key = userId.toString();
+  if (!clients.has(key)) {
+    clients.set(key, new Set());
+  }
+  clients.get(key).add(res);
+};
+
+export const removeClient = (userId, res) => {
+  const key = userId.toString();
+  const connections = clients.get(key);
+  if (!connections) return;
+
+  connections.delete(res);
+  if (connections.size === 0) {
+    clients.delete(key);
+  }
+};
+
+// Write an event to the open connections of the given users in this process
+const deliver = (userIds, event, data) => {
+  for (const userId of userIds) {
+    const connections = clients.get(userId.toString());
+    if (!connections) continue;
+
+    for (const res of connections) {
+      try {
+        writeEvent(res, event, data);
+      } catch (error) {
+        console.error('Event stream write error:', error);
+      }
+    }
+  }
+};
+
+// Send an event to every open connection of the given users, in any API process.
+// Fire and forget: a lost real-time event must not fail the change that raised it.
+export const publish = (userIds, event, data) => {
+  EventLog.create({ users: [].concat(userIds), event, data })
+    .catch(error => console.error('Event publish error:', error));
+};
+
+// Tail the event log and deliver new entries to this process's clients. Call once
+// connected to MongoDB, in API processes only; the worker just publishes.
+export const startEventRelay = () => {
+  if (relayStarted) return;
+  relayStarted = true;
+
+  // Last entry seen; when the cursor (re)opens, entries up to it are skipped. Capped
+  // collections return entries in insertion order, but ObjectIds made by different
+  // processes aren't ordered that way, so the position is found by scanning rather
+  // than by comparing ids. At startup it is the newest entry, as older ones were for
+  // connections this process never had.
+  let lastId;
+
+  const tail = async () => {
+    try {
+      await EventLog.createCollection();
+      if (lastId === undefined) {
+        const newest = await EventLog.findOne().sort({ $natural: -1 }).select('_id').lean();
+        lastId = newest?._id || null;
+      } else if (lastId && !(await EventLog.exists({ _id: lastId }))) {
+        // Dropped from the capped collection, so every entry left is newer
+        lastId = null;
+      }
+
+      let caughtUp = !lastId;
+      const cursor = EventLog.find()
+        .tailable(true, { awaitData: true })
+        .lean()
+        .cursor();
+
+      for await (const entry of cursor) {
+        if (!caughtUp) {
+          caughtUp = entry._id.equals(lastId);
+          continue;
+        }
+        lastId = entry._id;
+        deliver(entry.users, entry.event, entry.data);
+      }
+    } catch (error) {
+      console.error('Event relay error:', error.message);
+    }
+
+    // Tailable cursors end when the collection is empty or the connection drops
+    setTimeout(tail, RELAY_RETRY_MS);
+  };
+  tail();
+};
+
+const describeFulfilment = (order, fulfilment) => ({
+  _id: fulfilment._id,
+  seller: fulfilment.seller,
+  status: fulfilment.status,
+  tracking: fulfilment.tracking,
+  itemCount: order.getFulfilmentItems(fulfilment).reduce((sum, item) => sum + item.quantity, 0)
+});
+
+// New order: each seller hears about their own part of it
+export const publishOrderCreated = (order) => {
+  for (const fulfilment of order.fulfilments) {
+    publish(fulfilment.seller, 'order.created', {
+      order: order._id,
+      orderNumber: order.orderNumber,
+      createdAt: order.createdAt,
+      paymentStatus: order.paymentInfo.status,
+      fulfilment: describeFulfilment(order, fulfilment)
+    });
+  }
+};
+
+// Status or timeline change: the buyer gets the whole order, sellers their fulfilments
+export const publishOrderUpdated = (order) => {
+  const latest = order.timeline[order.timeline.length - 1];
+
+  publish(order.buyer._id || order.buyer, 'order.updated', {
+    order: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    paymentStatus: order.paymentInfo.status,
+    fulfilments: order.fulfilments.map(fulfilment => describeFulfilment(order, fulfilment)),
+    timeline: latest
+  });
+
+  for (const fulfilment of order.fulfilments) {
+    publish(fulfilment.seller, 'order.updated', {
+      order: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      paymentStatus: order.paymentInfo.status,
+      fulfilment: describeFulfilment(order, fulfilment)
+    });
+  }
+};
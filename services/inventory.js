@@ -0,0 +1,199 @@
+import Product from '../models/Product.js';
+import InventoryLedger from '../models/InventoryLedger.js';
+import { notify } from './notifications.js';
+import { queueBackInStockAlerts } from './wishlists.js';
+
+// All stock changes go through this module so each one is written to the ledger.
+// context is { order, user, reason } describing the movement.
+
+const stockProjection = 'name seller status inventory variantCombinations._id variantCombinations.inventory.quantity';
+
+// Keep an active product's status in step with its stock, tell the seller when a
+// change takes it to or below the low-stock threshold, or sells it out, and tell
+// watching buyers when it comes back
+export const checkStockLevel = async (product, previousQuantity, session) => {
+  const { quantity, lowStockThreshold } = product.inventory;
+
+  // Conditional so a concurrent change in the other direction isn't overwritten
+  if (quantity === 0 && product.status === 'active') {
+    await Product.updateOne(
+      { _id: product._id, status: 'active', 'inventory.quantity': 0 },
+      { status: 'out_of_stock' },
+      { session }
+    );
+  } else if (quantity > 0 && product.status === 'out_of_stock') {
+    await Product.updateOne(
+      { _id: product._id, status: 'out_of_stock', 'inventory.quantity': { $gt: 0 } },
+      { status: 'active' },
+      { session }
+    );
+  }
+
+  if (previousQuantity === 0 && quantity > 0) {
+    await queueBackInStockAlerts(product, null, session);
+  }
+
+  if (quantity >= previousQuantity) return;
+
+  if (quantity === 0) {
+    await notify(product.seller, {
+      type: 'out_of_stock',
+      title: `${product.name} is out of stock`,
+      message: 'Buyers can order it again once you restock.',
+      data: { product: product._id }
+    }, session);
+  } else if (previousQuantity > lowStockThreshold && quantity <= lowStockThreshold) {
+    await notify(product.seller, {
+      type: 'low_stock',
+      title: `${product.name} is running low`,
+      message: `Only ${quantity} left in stock.`,
+      data: { product: product._id, quantity }
+    }, session);
+  }
+};
+
+// Apply one stock change and log it; returns the updated product, or null if there
+// wasn't enough stock (or the product didn't match). Sales also require the product
+// and variant combination to be on sale.
+const moveStock = async ({ product, variantId, change, type, forSale = false, extraInc = {} }, context, session) => {
+  const query = { _id: product };
+  const inc = { 'inventory.quantity': change, ...extraInc };
+  const enough = change < 0 ? { $gte: -change } : undefined;
+
+  if (forSale) {
+    query.status = 'active';
+  }
+
+  if (variantId) {
+    query.variantCombinations = {
+      $elemMatch: {
+        _id: variantId,
+        ...(forSale ? { isActive: true } : {}),
+        ...(enough ? { 'inventory.quantity': enough } : {})
+      }
+    };
+    inc['variantCombinations.$.inventory.quantity'] = change;
+  } else if (enough) {
+    query['inventory.quantity'] = enough;
+  }
+
+  const updated = await Product.findOneAndUpdate(query, { $inc: inc }, {
+    new: true,
+    projection: stockProjection,
+    session
+  });
+  if (!updated) return null;
+
+  const previousQuantity = updated.inventory.quantity - change;
+  await checkStockLevel(updated, previousQuantity, session);
+
+  // A sold-out combination restocked while the product still had other stock
+  const variantQuantity = variantId ? updated.variantCombinations.id(variantId)?.inventory.quantity : undefined;
+  if (change > 0 && variantQuantity === change && previousQuantity > 0) {
+    await queueBackInStockAlerts(updated, variantId, session);
+  }
+
+  await InventoryLedger.create([{
+    product,
+    variantId: variantId || null,
+    type,
+    change,
+    quantityAfter: updated.inventory.quantity,
+    variantQuantityAfter: variantQuantity,
+    order: context.order || null,
+    user: context.user || null,
+    reason: context.reason
+  }], { session });
+
+  return updated;
+};
+
+// Take stock for each order line, but only where enough is left. Lines for a variant
+// combination take from that combination and from the product total together.
+// Returns the lines that could not be taken; the caller aborts its transaction if any did.
+export const decrementStock = async (lines, session, context = {}) => {
+  const failed = [];
+
+  for (const line of lines) {
+    const updated = await moveStock({
+      product: line.product,
+      variantId: line.variantId,
+      change: -line.quantity,
+      type: 'sale',
+      forSale: true,
+      extraInc: { totalSales: line.quantity }
+    }, context, session);
+
+    if (!updated) {
+      failed.push(line);
+    }
+  }
+
+  return failed;
+};
+
+// Put stock from order lines back on the shelf; type is cancel, reservation_release or return
+export const restoreStock = async (lines, session, context = {}, type = 'cancel') => {
+  for (const line of lines) {
+    await moveStock({
+      product: line.product,
+      variantId: line.variantId,
+      change: line.quantity,
+      type,
+      extraInc: { totalSales: -line.quantity }
+    }, context, session);
+  }
+};
+
+// Seller correction of stock (a count, damage, a delivery from a supplier).
+// Returns the updated product, or null if it would take the stock below zero.
+export const adjustStock = async ({ product, variantId, change }, context, session) => {
+  return moveStock({ product, variantId, change, type: 'adjustment' }, context, session);
+};
+
+// Stock per variant combination (or for the product itself), to compare before and after an edit
+export const snapshotStock = (product) => {
+  if (product.variantCombinations.length === 0) {
+    return new Map([['', product.inventory.quantity]]);
+  }
+  return new Map(product.variantCombinations.map(combination =>
+    [combination._id.toString(), combination.inventory.quantity]));
+};
+
+// Log the stock differences made by editing a product directly
+export const recordStockEdits = async (product, before, context) => {
+  const after = snapshotStock(product);
+  const keys = new Set([...before.keys(), ...after.keys()]);
+  const entries = [];
+
+  for (const key of keys) {
+    const change = (after.get(key) || 0) - (before.get(key) || 0);
+    if (change === 0) continue;
+
+    entries.push({
+      product: product._id,
+      variantId: key || null,
+      type: 'adjustment',
+      change,
+      quantityAfter: product.inventory.quantity,
+      variantQuantityAfter: key ? after.get(key) : undefined,
+      user: context.user || null,
+      reason: context.reason
+    });
+  }
+
+  if (entries.length > 0) {
+    await InventoryLedger.insertMany(entries);
+  }
+
+  const previousQuantity = [...before.values()].reduce((sum, quantity) => sum + quantity, 0);
+  await checkStockLevel(product, previousQuantity);
+
+  if (previousQuantity > 0) {
+    for (const key of keys) {
+      if (key && before.get(key) === 0 && after.get(key) > 0) {
+        await queueBackInStockAlerts(product, key);
+      }
+    }
+  }
+};
@@ -0,0 +1,71 @@
+import User from '../../models/User.js';
+import { defineJob, scheduleRecurringJob } from './index.js';
+import { sendMail } from '../mail/index.js';
+import { releaseExpiredReservations } from '../reservations.js';
+import { recalculateSellerRating } from '../sellerRatings.js';
+import { sendPriceDropAlerts, sendBackInStockAlerts } from '../wishlists.js';
+import { sendAbandonedCartReminders } from '../abandonedCarts.js';
+import { rebuildSuggestions } from '../suggestions.js';
+
+// Read lazily so values from .env are picked up after dotenv has run
+const getReservationSweepSeconds = () => parseInt(process.env.RESERVATION_SWEEP_SECONDS) || 60;
+const getSellerRatingRefreshHours = () => parseInt(process.env.SELLER_RATING_REFRESH_HOURS) || 24;
+const getAbandonedCartSweepMinutes = () => parseInt(process.env.ABANDONED_CART_SWEEP_MINUTES) || 60;
+const getSuggestRefreshMinutes = () => parseInt(process.env.SEARCH_SUGGEST_REFRESH_MINUTES) || 15;
+
+// Every job the worker knows how to run
+const defineJobs = () => {
+  defineJob('send-mail', async (message) => {
+    await sendMail(message);
+  });
+
+  // Give back stock held for online payments that never completed
+  defineJob('release-expired-reservations', async () => {
+    const released = await releaseExpiredReservations();
+    if (released > 0) {
+      console.log(`Released ${released} expired stock reservation(s)`);
+    }
+  });
+
+  // Wishlist alerts, queued by product edits and restocks
+  defineJob('wishlist-price-drop', async ({ product }) => {
+    await sendPriceDropAlerts(product);
+  });
+
+  defineJob('wishlist-back-in-stock', async ({ product, variantId }) => {
+    await sendBackInStockAlerts(product, variantId);
+  });
+
+  defineJob('abandoned-cart-reminders', async () => {
+    const reminded = await sendAbandonedCartReminders();
+    if (reminded > 0) {
+      console.log(`Sent ${reminded} abandoned cart reminder(s)`);
+    }
+  });
+
+  // Refresh the autocomplete index with new names and current sales
+  defineJob('rebuild-search-suggestions', async () => {
+    await rebuildSuggestions();
+  });
+
+  // Rebuild seller ratings from scratch, repairing any drift in the incremental totals
+  defineJob('recalculate-seller-ratings', async () => {
+    const sellers = await User.find({ type: 'seller' }).select('_id');
+    for (const seller of sellers) {
+      await recalculateSellerRating(seller._id);
+    }
+  });
+};
+
+const scheduleJobs = async () => {
+  await scheduleRecurringJob('release-expired-reservations', getReservationSweepSeconds());
+  await scheduleRecurringJob('recalculate-seller-ratings', getSellerRatingRefreshHours() * 60 * 60);
+  await scheduleRecurringJob('abandoned-cart-reminders', getAbandonedCartSweepMinutes() * 60);
+  await scheduleRecurringJob('rebuild-search-suggestions', getSuggestRefreshMinutes() * 60);
+};
+
+// Call once connected to MongoDB, before starting a worker
+export const setupJobs = async () => {
+  defineJobs();
+  await scheduleJobs();
+};
@@ -0,0 +1,212 @@
+import os from 'os';
+import Job from '../../models/Job.js';
+
+// MongoDB-backed job queue. Jobs are claimed with an atomic findOneAndUpdate, so any
+// number of workers (and instances) can poll the same collection safely.
+
+// Read lazily so values from .env are picked up after dotenv has run
+const getPollSeconds = () => parseInt(process.env.JOB_POLL_SECONDS) || 5;
+const getConcurrency = () => parseInt(process.env.JOB_CONCURRENCY) || 2;
+const getLockTimeoutSeconds = () => parseInt(process.env.JOB_LOCK_TIMEOUT_SECONDS) || 10 * 60;
+const getRetryBaseSeconds = () => parseInt(process.env.JOB_RETRY_BASE_SECONDS) || 30;
+
+const handlers = new Map(); // job name -> async (payload, job) => void
+
+export const defineJob = (name, handler) => {
+  handlers.set(name, handler);
+};
+
+// Queue a job to run as soon as a worker is free, or after delaySeconds. Pass the
+// session to queue it as part of a transaction.
+export const enqueueJob = async (name, payload = {}, { delaySeconds = 0, maxAttempts, session } = {}) => {
+  const [job] = await Job.create([{
+    name,
+    payload,
+    runAt: new Date(Date.now() + delaySeconds * 1000),
+    ...(maxAttempts ? { maxAttempts } : {})
+  }], { session });
+  return job;
+};
+
+// Make sure a recurring job exists, once across all instances; a changed interval
+// applies from its next run
+export const scheduleRecurringJob = async (name, repeatSeconds, payload = {}) => {
+  try {
+    await Job.updateOne(
+      { key: name },
+      {
+        $set: { repeatSeconds },
+        $setOnInsert: { name, payload, runAt: new Date() }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another instance inserted it first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+const staleLockCutoff = () => new Date(Date.now() - getLockTimeoutSeconds() * 1000);
+
+// Take the next due job this process can run, or one whose worker died or hung holding
+// it. A crashed run counts as an attempt, so a job that keeps killing its worker runs
+// out of attempts like one that throws (recurring jobs excepted, as below).
+const claimJob = async (workerId) => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      name: { $in: [...handlers.keys()] },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        {
+          status: 'running',
+          lockedAt: { $lte: staleLockCutoff() },
+          $or: [
+            { repeatSeconds: { $ne: null } },
+            { $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+          ]
+        }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedBy: workerId, lockedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Stale one-off jobs with no attempts left can't be claimed again, so mark them dead
+const buryStaleJobs = () => Job.updateMany(
+  {
+    status: 'running',
+    lockedAt: { $lte: staleLockCutoff() },
+    repeatSeconds: null,
+    $expr: { $gte: ['$attempts', '$maxAttempts'] }
+  },
+  {
+    $set: { status: 'dead', lastError: 'Worker stopped or timed out while running the job', failedAt: new Date() },
+    $unset: { lockedBy: 1, lockedAt: 1 }
+  }
+);
+
+// Keep the lock fresh while a long job runs, so no other worker takes it over
+const keepLocked = (job, workerId) => setInterval(() => {
+  Job.updateOne(
+    { _id: job._id, status: 'running', lockedBy: workerId },
+    { $set: { lockedAt: new Date() } }
+  ).catch(error => console.error(`Renew job ${job._id} lock error:`, error));
+}, getLockTimeoutSeconds() * 1000 / 3);
+
+// Record the outcome, unless the lock timed out and another worker took the job over
+const finishJob = (job, workerId, update) => Job.updateOne(
+  { _id: job._id, status: 'running', lockedBy: workerId },
+  { ...update, $unset: { lockedBy: 1, lockedAt: 1 } }
+);
+
+const runJob = async (job, workerId) => {
+  const lockTimer = keepLocked(job, workerId);
+  try {
+    await handlers.get(job.name)(job.payload, job);
+
+    if (job.repeatSeconds) {
+      await finishJob(job, workerId, {
+        $set: {
+          status: 'pending',
+          attempts: 0,
+          completedAt: new Date(),
+          runAt: new Date(Date.now() + job.repeatSeconds * 1000)
+        }
+      });
+    } else {
+      await finishJob(job, workerId, { $set: { status: 'completed', completedAt: new Date() } });
+    }
+  } catch (error) {
+    console.error(`Job ${job.name} (${job._id}) attempt ${job.attempts} failed:`, error);
+
+    const failure = {
+      $set: { lastError: error.message, failedAt: new Date() },
+      $push: { errorHistory: { $each: [{ message: error.message, attempt: job.attempts, failedAt: new Date() }], $slice: -10 } }
+    };
+
+    if (job.attempts < job.maxAttempts) {
+      // Exponential backoff: base, 2x base, 4x base, ...
+      failure.$set.status = 'pending';
+      failure.$set.runAt = new Date(Date.now() + getRetryBaseSeconds() * 1000 * 2 ** (job.attempts - 1));
+    } else if (job.repeatSeconds) {
+      // A recurring job never goes dead, or it would stop running; try again next interval
+      failure.$set.status = 'pending';
+      failure.$set.attempts = 0;
+      failure.$set.runAt = new Date(Date.now() + job.repeatSeconds * 1000);
+    } else {
+      failure.$set.status = 'dead';
+    }
+
+    await finishJob(job, workerId, failure);
+  } finally {
+    clearInterval(lockTimer);
+  }
+};
+
+// Poll for due jobs and run up to concurrency at once. stop() waits for running jobs.
+export const startWorker = ({ concurrency = getConcurrency(), pollSeconds = getPollSeconds() } = {}) => {
+  const workerId = `${os.hostname()}:${process.pid}`;
+  const active = new Set();
+  let stopped = false;
+  let wake = null;
+
+  const sleep = (ms) => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+
+  const loop = async () => {
+    while (!stopped) {
+      if (active.size >= concurrency) {
+        await Promise.race(active);
+        continue;
+      }
+
+      let job = null;
+      try {
+        job = await claimJob(workerId);
+      } catch (error) {
+        console.error('Claim job error:', error);
+      }
+
+      if (!job) {
+        await buryStaleJobs().catch(error => console.error('Bury stale jobs error:', error));
+        await sleep(pollSeconds * 1000);
+        continue;
+      }
+
+      const run = runJob(job, workerId)
+        .catch(error => console.error(`Record job ${job._id} result error:`, error))
+        .finally(() => active.delete(run));
+      active.add(run);
+    }
+  };
+  const looping = loop();
+
+  return {
+    workerId,
+    stop: async () => {
+      stopped = true;
+      wake?.();
+      await looping;
+      await Promise.all(active);
+    }
+  };
+};
+
+// Put a dead job back in the queue with a fresh set of attempts
+export const retryJob = async (jobId) => {
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: 'dead' },
+    { $set: { status: 'pending', attempts: 0, runAt: new Date() } },
+    { new: true }
+  );
+};
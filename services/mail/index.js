@@ -0,0 +1,55 @@
+import path from 'path';
+import { createConsoleTransport, createFileTransport, createSmtpTransport } from './transports.js';
+
+let transport = null;
+
+// Pick the transport from MAIL_TRANSPORT (smtp, console or file). Console and file
+// keep password-reset and verification links readable, so production must use SMTP.
+const createTransport = () => {
+  if (process.env.NODE_ENV === 'production' && process.env.MAIL_TRANSPORT !== 'smtp') {
+    throw new Error('MAIL_TRANSPORT must be smtp in production');
+  }
+
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    case 'file':
+      return createFileTransport(process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail'));
+    case 'console':
+    case undefined:
+    case '':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${process.env.MAIL_TRANSPORT}"`);
+  }
+};
+
+// Transport is created lazily so the .env settings are in place. Called once at
+// startup too, so a missing or unsafe setting stops the process straight away.
+export const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Swap the transport, e.g. for a test double
+export const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Amify <no-reply@amify.app>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
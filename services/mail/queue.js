@@ -0,0 +1,12 @@
+import { enqueueJob } from '../jobs/index.js';
+
+// Mail is sent by the job worker so routes never wait on the mail server; failed
+// sends are retried with the job queue's backoff and end up dead after the last attempt.
+
+// Read lazily so values from .env are picked up after dotenv has run
+const getMaxAttempts = () => parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
+
+// Queue a message ({ to, subject, text, html }) to be sent in the background
+export const enqueueMail = async (message) => {
+  return enqueueJob('send-mail', message, { maxAttempts: getMaxAttempts() });
+};
@@ -0,0 +1,21 @@
+import { escapeHtml } from '../../../utils/escape.js';
+
+// Account emails; each template returns { subject, text, html }
+
+export const verifyEmail = ({ name, link }) => ({
+  subject: 'Verify your Amify email address',
+  text: `Hi ${name},\n\nPlease confirm your email address by opening the link below. It expires in 24 hours.\n\n${link}\n\nIf you did not create an Amify account, you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Please confirm your email address. The link expires in 24 hours.</p>
+<p><a href="${escapeHtml(link)}">Verify email address</a></p>
+<p>If you did not create an Amify account, you can ignore this email.</p>`
+});
+
+export const resetPassword = ({ name, link }) => ({
+  subject: 'Reset your Amify password',
+  text: `Hi ${name},\n\nSomeone asked to reset the password for your Amify account. Open the link below to choose a new one. It expires in 1 hour.\n\n${link}\n\nIf this wasn't you, you can ignore this email; your password won't change.`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Someone asked to reset the password for your Amify account. The link expires in 1 hour.</p>
+<p><a href="${escapeHtml(link)}">Choose a new password</a></p>
+<p>If this wasn't you, you can ignore this email; your password won't change.</p>`
+});
@@ -0,0 +1,20 @@
+import { escapeHtml } from '../../../utils/escape.js';
+
+// Cart emails; each template returns { subject, text, html }.
+// coupons are { code, description, seller } offered by sellers in the cart.
+
+const formatAmount = (amount) => `₦${Number(amount || 0).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const couponText = (coupon) => `${coupon.code}${coupon.description ? ` - ${coupon.description}` : ''} (${coupon.seller})`;
+
+export const cartReminder = ({ name, items, total, coupons, link }) => ({
+  subject: 'You left something in your Amify cart',
+  text: `Hi ${name},\n\nYour cart is waiting for you:\n\n${items.map(item => `- ${item.name} x${item.quantity}`).join('\n')}\n\nTotal: ${formatAmount(total)}${coupons.length > 0 ? `\n\nUse these codes at checkout:\n${coupons.map(coupon => `- ${couponText(coupon)}`).join('\n')}` : ''}\n\nFinish your order: ${link}`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Your cart is waiting for you:</p>
+<ul>
+${items.map(item => `<li>${escapeHtml(item.name)} x${item.quantity}</li>`).join('\n')}
+</ul>
+<p><strong>Total: ${formatAmount(total)}</strong></p>
+${coupons.length > 0 ? `<p>Use these codes at checkout:</p>\n<ul>\n${coupons.map(coupon => `<li><strong>${escapeHtml(coupon.code)}</strong>${coupon.description ? ` - ${escapeHtml(coupon.description)}` : ''} (${escapeHtml(coupon.seller)})</li>`).join('\n')}\n</ul>\n` : ''}<p><a href="${escapeHtml(link)}">Finish your order</a></p>`
+});
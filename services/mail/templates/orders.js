@@ -0,0 +1,92 @@
+import { escapeHtml } from '../../../utils/escape.js';
+
+// Order lifecycle emails; each template returns { subject, text, html }.
+// items are { name, variant, quantity, price } with variant as { option: value }.
+
+const formatAmount = (amount) => `₦${Number(amount || 0).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const describeItem = (item) => {
+  const options = item.variant ? Object.values(item.variant).join(', ') : '';
+  return options ? `${item.name} (${options})` : item.name;
+};
+
+const itemsText = (items) => items
+  .map(item => `- ${describeItem(item)} x${item.quantity}: ${formatAmount(item.price * item.quantity)}`)
+  .join('\n');
+
+const itemsHtml = (items) => `<table cellpadding="4">
+${items.map(item => `<tr><td>${escapeHtml(describeItem(item))}</td><td>x${item.quantity}</td><td align="right">${formatAmount(item.price * item.quantity)}</td></tr>`).join('\n')}
+</table>`;
+
+const trackingText = (tracking = {}) => [
+  tracking.carrier && `Carrier: ${tracking.carrier}`,
+  tracking.trackingNumber && `Tracking number: ${tracking.trackingNumber}`
+].filter(Boolean).join('\n');
+
+export const orderPlaced = ({ name, orderNumber, items, pricing, link }) => ({
+  subject: `Your Amify order ${orderNumber}`,
+  text: `Hi ${name},\n\nThanks for your order! Here's your receipt for order ${orderNumber}.\n\n${itemsText(items)}\n\nSubtotal: ${formatAmount(pricing.subtotal)}\nShipping: ${formatAmount(pricing.shippingCost)}${pricing.discount ? `\nDiscount: -${formatAmount(pricing.discount)}` : ''}\nTotal: ${formatAmount(pricing.total)}\n\nTrack your order: ${link}`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Thanks for your order! Here's your receipt for order <strong>${escapeHtml(orderNumber)}</strong>.</p>
+${itemsHtml(items)}
+<p>Subtotal: ${formatAmount(pricing.subtotal)}<br>
+Shipping: ${formatAmount(pricing.shippingCost)}<br>
+${pricing.discount ? `Discount: -${formatAmount(pricing.discount)}<br>\n` : ''}<strong>Total: ${formatAmount(pricing.total)}</strong></p>
+<p><a href="${escapeHtml(link)}">Track your order</a></p>`
+});
+
+export const newOrder = ({ name, orderNumber, items, awaitingPayment, link }) => ({
+  subject: `New order ${orderNumber}`,
+  text: `Hi ${name},\n\nYou have a new order${awaitingPayment ? ', awaiting payment' : ' to fulfil'}:\n\n${itemsText(items)}\n\nView the order: ${link}`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>You have a new order <strong>${escapeHtml(orderNumber)}</strong>${awaitingPayment ? ', awaiting payment' : ' to fulfil'}:</p>
+${itemsHtml(items)}
+<p><a href="${escapeHtml(link)}">View the order</a></p>`
+});
+
+export const paymentReceived = ({ name, orderNumber, amount, link }) => ({
+  subject: `Payment received for order ${orderNumber}`,
+  text: `Hi ${name},\n\nWe've received your payment of ${formatAmount(amount)} for order ${orderNumber}. The sellers are getting it ready.\n\n${link}`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>We've received your payment of <strong>${formatAmount(amount)}</strong> for order ${escapeHtml(orderNumber)}. The sellers are getting it ready.</p>
+<p><a href="${escapeHtml(link)}">View your order</a></p>`
+});
+
+export const orderShipped = ({ name, orderNumber, items, tracking, link }) => ({
+  subject: `Order ${orderNumber} has shipped`,
+  text: `Hi ${name},\n\nThese items from order ${orderNumber} are on their way:\n\n${itemsText(items)}${trackingText(tracking) ? `\n\n${trackingText(tracking)}` : ''}\n\nTrack your order: ${link}`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>These items from order ${escapeHtml(orderNumber)} are on their way:</p>
+${itemsHtml(items)}
+${trackingText(tracking) ? `<p>${escapeHtml(trackingText(tracking)).replace(/\n/g, '<br>')}</p>\n` : ''}<p><a href="${escapeHtml(link)}">Track your order</a></p>`
+});
+
+export const orderDelivered = ({ name, orderNumber, items, link }) => ({
+  subject: `Order ${orderNumber} was delivered`,
+  text: `Hi ${name},\n\nThese items from order ${orderNumber} have been delivered:\n\n${itemsText(items)}\n\nHappy with them? Leave a review: ${link}`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>These items from order ${escapeHtml(orderNumber)} have been delivered:</p>
+${itemsHtml(items)}
+<p>Happy with them? <a href="${escapeHtml(link)}">Leave a review</a></p>`
+});
+
+export const orderCancelled = ({ name, orderNumber, items, reason, link }) => ({
+  subject: `Order ${orderNumber} was cancelled`,
+  text: `Hi ${name},\n\nThese items from order ${orderNumber} were cancelled${reason ? `: ${reason}` : '.'}\n\n${itemsText(items)}\n\n${link}`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>These items from order ${escapeHtml(orderNumber)} were cancelled${reason ? `: ${escapeHtml(reason)}` : '.'}</p>
+${itemsHtml(items)}
+<p><a href="${escapeHtml(link)}">View the order</a></p>`
+});
+
+export const orderRefunded = ({ name, orderNumber, amount, manual, link }) => ({
+  subject: `Refund for order ${orderNumber}`,
+  text: manual
+    ? `Hi ${name},\n\nThe seller has confirmed settling your refund of ${formatAmount(amount)} for your return on order ${orderNumber}.\n\n${link}`
+    : `Hi ${name},\n\nWe've refunded ${formatAmount(amount)} for your return on order ${orderNumber}. It can take a few days to show up on your statement.\n\n${link}`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>${manual
+    ? `The seller has confirmed settling your refund of <strong>${formatAmount(amount)}</strong> for your return on order ${escapeHtml(orderNumber)}.`
+    : `We've refunded <strong>${formatAmount(amount)}</strong> for your return on order ${escapeHtml(orderNumber)}. It can take a few days to show up on your statement.`}</p>
+<p><a href="${escapeHtml(link)}">View the order</a></p>`
+});
@@ -0,0 +1,47 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Each transport exposes send({ from, to, subject, text, html }) and resolves with a message id
+
+// Prints messages, links and all, to stdout - for development only; refused in production
+export const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    const messageId = `console-${Date.now()}`;
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId };
+  }
+});
+
+// Writes one JSON file per message, so tests can read back what was sent
+export const createFileTransport = (directory) => ({
+  name: 'file',
+  send: async (message) => {
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(
+      path.join(directory, `${messageId}.json`),
+      JSON.stringify({ ...message, messageId, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { messageId };
+  }
+});
+
+// Sends through an SMTP server, e.g. the provider's relay in production
+export const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const smtp = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await smtp.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
@@ -0,0 +1,141 @@
+import Notification from '../models/Notification.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { publish } from './events.js';
+
+// Create an in-app notification for a user, unless they switched the type off, and
+// push it to their open event streams. Pass the session when the event is part of a
+// transaction so the notification is only kept if it commits; those are not pushed,
+// since the transaction may still roll back, and show up on the next fetch instead.
+export const notify = async (userId, { type, title, message, data = {} }, session) => {
+  const user = await User.findById(userId).select('notificationPreferences').session(session || null);
+  if (!user || user.notificationPreferences?.get(type) === false) return null;
+
+  const [notification] = await Notification.create([{
+    user: userId,
+    type,
+    title,
+    message,
+    data
+  }], { session });
+
+  if (!session) {
+    publish(userId, 'notification', notification);
+  }
+  return notification;
+};
+
+// Events below fire after the change they describe has been saved, so a failure
+// to notify is logged rather than failing the request
+const notifyAll = async (notifications) => {
+  for (const [userId, notification] of notifications) {
+    try {
+      await notify(userId, notification);
+    } catch (error) {
+      console.error(`Notify ${notification.type} error:`, error);
+    }
+  }
+};
+
+const uniqueSellers = (fulfilments) => [...new Set(fulfilments.map(fulfilment => fulfilment.seller.toString()))];
+
+// Buyer confirmation, a new-order alert per seller, and a first-order alert per store
+export const notifyOrderPlaced = async (order) => {
+  const notifications = [[order.buyer, {
+    type: 'order_placed',
+    title: `Order ${order.orderNumber} placed`,
+    message: `We've sent your order to ${order.fulfilments.length} seller(s).`,
+    data: { order: order._id }
+  }]];
+
+  for (const fulfilment of order.fulfilments) {
+    const itemCount = order.getFulfilmentItems(fulfilment).reduce((sum, item) => sum + item.quantity, 0);
+    notifications.push([fulfilment.seller, {
+      type: 'new_order',
+      title: `New order ${order.orderNumber}`,
+      message: order.reservation?.status === 'held'
+        ? `${itemCount} item(s), awaiting payment.`
+        : `${itemCount} item(s) to fulfil.`,
+      data: { order: order._id, fulfilment: fulfilment._id }
+    }]);
+
+    if (fulfilment.store) {
+      try {
+        const storeOrders = await Order.countDocuments({ 'fulfilments.store': fulfilment.store });
+        if (storeOrders === 1) {
+          notifications.push([fulfilment.seller, {
+            type: 'first_order',
+            title: 'Your store got its first order!',
+            message: `Order ${order.orderNumber} is the first one from your store.`,
+            data: { order: order._id, store: fulfilment.store }
+          }]);
+        }
+      } catch (error) {
+        console.error('Count store orders error:', error);
+      }
+    }
+  }
+
+  await notifyAll(notifications);
+};
+
+// Tell the buyer their items moved on
+export const notifyOrderStatus = async (order, fulfilments, status) => {
+  await notifyAll([[order.buyer, {
+    type: 'order_status',
+    title: `Order ${order.orderNumber} ${status}`,
+    message: fulfilments.length < order.fulfilments.length
+      ? `Part of your order is now ${status}.`
+      : `Your order is now ${status}.`,
+    data: { order: order._id, fulfilments: fulfilments.map(fulfilment => fulfilment._id), status }
+  }]]);
+};
+
+// Tell the other side of the order about a cancellation: sellers when the buyer
+// cancels, the buyer when a seller, an admin or the system does
+export const notifyOrderCancelled = async (order, fulfilments, { cancelledBy, reason }) => {
+  const data = { order: order._id, fulfilments: fulfilments.map(fulfilment => fulfilment._id) };
+  const notifications = [];
+
+  if (cancelledBy !== 'buyer') {
+    notifications.push([order.buyer, {
+      type: 'order_cancelled',
+      title: `Order ${order.orderNumber} cancelled`,
+      message: reason,
+      data
+    }]);
+  }
+
+  if (cancelledBy !== 'seller') {
+    for (const sellerId of uniqueSellers(fulfilments)) {
+      notifications.push([sellerId, {
+        type: 'order_cancelled',
+        title: `Order ${order.orderNumber} cancelled`,
+        message: reason,
+        data
+      }]);
+    }
+  }
+
+  await notifyAll(notifications);
+};
+
+// Tell the seller about a new review of one of their products
+export const notifyNewReview = async (review, product) => {
+  await notifyAll([[review.seller, {
+    type: 'new_review',
+    title: `New ${review.rating}-star review`,
+    message: `${product.name}${review.comment ? `: "${review.comment.slice(0, 100)}"` : ''}`,
+    data: { product: product._id, review: review._id }
+  }]]);
+};
+
+// Tell the reviewer the seller replied
+export const notifyReviewReply = async (review) => {
+  await notifyAll([[review.user, {
+    type: 'review_reply',
+    title: 'The seller replied to your review',
+    message: review.sellerReply.comment.slice(0, 200),
+    data: { product: review.product, review: review._id }
+  }]]);
+};
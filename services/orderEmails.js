@@ -0,0 +1,127 @@
+import User from '../models/User.js';
+import Product from '../models/Product.js';
+import { enqueueMail } from './mail/queue.js';
+import * as templates from './mail/templates/orders.js';
+
+// Emails for the order lifecycle. Like the in-app notifications they fire after the
+// change has been saved; they are queued for the worker, and a failure to queue is only logged.
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const orderLink = (order) => `${getFrontendUrl()}/orders/${order._id}`;
+
+const idOf = (value) => (value._id || value).toString();
+
+// Names and addresses of the users, and names of the products, the emails mention
+const loadRecipients = async (order, userIds) => {
+  const [users, products] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select('name email'),
+    Product.find({ _id: { $in: order.items.map(item => idOf(item.product)) } }).select('name')
+  ]);
+
+  return {
+    users: new Map(users.map(user => [user._id.toString(), user])),
+    productNames: new Map(products.map(product => [product._id.toString(), product.name]))
+  };
+};
+
+// Orders placed before fulfilments existed have all their items in one shipment
+const itemsOf = (order, fulfilments) => (order.fulfilments.length === 0
+  ? order.items
+  : fulfilments.flatMap(fulfilment => order.getFulfilmentItems(fulfilment)));
+
+const describeItems = (items, productNames) => items.map(item => ({
+  name: productNames.get(idOf(item.product)) || 'Item',
+  variant: item.variant,
+  quantity: item.quantity,
+  price: item.price
+}));
+
+// Queue one email per [userId, template, data] entry; data builds the template's
+// fields once the product names are loaded
+const sendOrderEmails = async (order, emails) => {
+  try {
+    const { users, productNames } = await loadRecipients(order, emails.map(([userId]) => idOf(userId)));
+
+    for (const [userId, template, data] of emails) {
+      const user = users.get(idOf(userId));
+      if (!user) continue;
+
+      await enqueueMail({
+        to: user.email,
+        ...template({
+          name: user.name,
+          orderNumber: order.orderNumber,
+          link: orderLink(order),
+          ...data(productNames)
+        })
+      });
+    }
+  } catch (error) {
+    console.error(`Order ${order.orderNumber} email error:`, error);
+  }
+};
+
+// Receipt for the buyer and a new-order alert for each seller
+export const emailOrderPlaced = async (order) => {
+  const emails = [[order.buyer, templates.orderPlaced, (productNames) => ({
+    items: describeItems(order.items, productNames),
+    pricing: order.pricing
+  })]];
+
+  for (const fulfilment of order.fulfilments) {
+    emails.push([fulfilment.seller, templates.newOrder, (productNames) => ({
+      items: describeItems(order.getFulfilmentItems(fulfilment), productNames),
+      awaitingPayment: order.reservation?.status === 'held'
+    })]);
+  }
+
+  await sendOrderEmails(order, emails);
+};
+
+export const emailPaymentReceived = async (order) => {
+  await sendOrderEmails(order, [[order.buyer, templates.paymentReceived, () => ({
+    amount: order.pricing.total
+  })]]);
+};
+
+// Shipped and delivered fulfilments, one email each so every one carries its own tracking
+export const emailOrderStatus = async (order, fulfilments, status) => {
+  const template = { shipped: templates.orderShipped, delivered: templates.orderDelivered }[status];
+  if (!template) return;
+
+  const targets = order.fulfilments.length > 0 ? fulfilments : [order];
+  await sendOrderEmails(order, targets.map(target => [order.buyer, template, (productNames) => ({
+    items: describeItems(itemsOf(order, [target]), productNames),
+    tracking: target.tracking
+  })]));
+};
+
+// The buyer always gets a confirmation; sellers hear about it unless they cancelled
+export const emailOrderCancelled = async (order, fulfilments, { cancelledBy, reason }) => {
+  const emails = [[order.buyer, templates.orderCancelled, (productNames) => ({
+    items: describeItems(itemsOf(order, fulfilments), productNames),
+    reason
+  })]];
+
+  if (cancelledBy !== 'seller') {
+    for (const fulfilment of fulfilments) {
+      emails.push([fulfilment.seller, templates.orderCancelled, (productNames) => ({
+        items: describeItems(order.getFulfilmentItems(fulfilment), productNames),
+        reason
+      })]);
+    }
+  }
+
+  await sendOrderEmails(order, emails);
+};
+
+// Once a return's refund has gone through the provider, or the seller confirmed settling it
+export const emailOrderRefunded = async (order, returnRequest) => {
+  if (returnRequest.status !== 'refunded') return;
+
+  await sendOrderEmails(order, [[order.buyer, templates.orderRefunded, () => ({
+    amount: returnRequest.refund.amount,
+    manual: !returnRequest.refund.refundId
+  })]]);
+};
@@ -0,0 +1,123 @@
+export const name = 'flutterwave';
+
+// Base URL can be pointed at a local stub server like the Paystack one
+const getBaseUrl = () => process.env.FLUTTERWAVE_BASE_URL || 'https://api.flutterwave.com/v3';
+
+const getSecretKey = () => {
+  if (!process.env.FLUTTERWAVE_SECRET_KEY) {
+    throw new Error('FLUTTERWAVE_SECRET_KEY is not configured');
+  }
+  return process.env.FLUTTERWAVE_SECRET_KEY;
+};
+
+const flutterwaveRequest = async (method, path, body) => {
+  const response = await fetch(`${getBaseUrl()}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${getSecretKey()}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const payload = await response.json().catch(() => ({}));
+
+  if (!response.ok || payload.status !== 'success') {
+    const error = new Error(payload.message || `Flutterwave request failed with status ${response.status}`);
+    error.statusCode = 502;
+    error.providerStatus = response.status;
+    throw error;
+  }
+
+  return payload.data;
+};
+
+const toPaymentResult = (data) => ({
+  reference: data.tx_ref,
+  transactionId: data.id ? String(data.id) : undefined,
+  amount: data.amount,
+  currency: data.currency,
+  status: data.status === 'successful' ? 'completed'
+    : data.status === 'failed' ? 'failed'
+    : data.status === 'cancelled' ? 'abandoned'
+    : 'pending',
+  paidAt: data.created_at ? new Date(data.created_at) : undefined
+});
+
+// Create a Flutterwave hosted payment link for an order
+export const initializePayment = async (order, email) => {
+  const reference = `${order.orderNumber}-${Date.now()}`;
+
+  const data = await flutterwaveRequest('POST', '/payments', {
+    tx_ref: reference,
+    amount: order.pricing.total,
+    currency: 'NGN',
+    redirect_url: process.env.FLUTTERWAVE_REDIRECT_URL ||
+      `${process.env.FRONTEND_URL || 'http://localhost:5173'}/orders/${order._id}`,
+    customer: {
+      email,
+      name: order.shippingAddress?.fullName,
+      phonenumber: order.shippingAddress?.phone
+    },
+    meta: {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber
+    }
+  });
+
+  return {
+    provider: name,
+    authorizationUrl: data.link,
+    reference
+  };
+};
+
+// Look up a transaction by our reference
+export const verifyPayment = async (reference) => {
+  try {
+    const data = await flutterwaveRequest('GET', `/transactions/verify_by_reference?tx_ref=${encodeURIComponent(reference)}`);
+    return toPaymentResult(data);
+  } catch (error) {
+    // Flutterwave answers "No transaction was found" for a payment link never used
+    if ([400, 404].includes(error.providerStatus)) {
+      return { reference, status: 'not_found' };
+    }
+    throw error;
+  }
+};
+
+// Refund all or part of a transaction; amount is in naira
+export const refundPayment = async (order, amount) => {
+  const data = await flutterwaveRequest('POST', `/transactions/${encodeURIComponent(order.paymentInfo.transactionId)}/refund`,
+    amount !== undefined ? { amount } : {});
+
+  return {
+    refundId: data.id ? String(data.id) : undefined,
+    amount: data.amount_refunded ?? amount,
+    status: data.status === 'completed' ? 'completed' : data.status === 'failed' ? 'failed' : 'pending'
+  };
+};
+
+// Flutterwave signs webhooks with the secret hash configured on the dashboard
+export const verifyWebhookSignature = (signature) => {
+  return Boolean(process.env.FLUTTERWAVE_SECRET_HASH) &&
+    signature === process.env.FLUTTERWAVE_SECRET_HASH;
+};
+
+// Turn a webhook request into a payment result, or null for events we ignore
+export const parseWebhook = async (req) => {
+  if (!verifyWebhookSignature(req.headers['verif-hash'])) {
+    const error = new Error('Invalid signature');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const { event, data } = req.body;
+  if (event !== 'charge.completed' || !data?.id) {
+    return null;
+  }
+
+  // Flutterwave recommends confirming the webhook payload against the API
+  const transaction = await flutterwaveRequest('GET', `/transactions/${encodeURIComponent(data.id)}/verify`);
+  return toPaymentResult(transaction);
+};
@@ -0,0 +1,119 @@
+import Order from '../../models/Order.js';
+import Store from '../../models/Store.js';
+import * as paystack from './paystack.js';
+import * as flutterwave from './flutterwave.js';
+
+// Every online provider implements the same gateway interface:
+//   initializePayment(order, email) -> { provider, authorizationUrl, reference, ... }
+//   verifyPayment(reference)        -> payment result, status 'not_found' for an unknown reference
+//   refundPayment(order, amount)    -> { refundId, amount, status }, status as below
+//   parseWebhook(req)               -> payment result, or null for ignored events
+// A payment result is { reference, transactionId, amount, currency, status, paidAt },
+// with amount in naira and status one of 'completed', 'failed', 'abandoned' (the buyer
+// left the checkout) or 'pending'. Request errors (network, 5xx) are thrown.
+const providers = {
+  [paystack.name]: paystack,
+  [flutterwave.name]: flutterwave
+};
+
+// Orders are priced and charged in naira only
+const PAYMENT_CURRENCY = 'NGN';
+
+// Order payment methods mapped to Store.settings.payments flags
+const storeSettingKeys = {
+  paystack: 'paystack',
+  flutterwave: 'flutterwave',
+  bank_transfer: 'bankTransfer',
+  cash_on_delivery: 'cashOnDelivery'
+};
+
+export const getPaymentProvider = (method) => providers[method] || null;
+
+// Keep a newly issued reference alongside the earlier ones; the caller saves the order
+export const recordPaymentReference = (order, reference) => {
+  order.paymentInfo.reference = reference;
+  order.paymentInfo.references.addToSet(reference);
+};
+
+// Find the order a provider reference was issued for. Orders placed before references
+// were kept only have the single reference.
+export const findOrderByReference = (reference) => Order.findOne({
+  $or: [
+    { 'paymentInfo.references': reference },
+    { 'paymentInfo.reference': reference }
+  ]
+});
+
+// Ask the provider about every reference issued for the order, newest first, since the
+// buyer may have paid in an older checkout tab. Returns a completed result if there is
+// one, else a pending one, else the newest reference's result.
+export const verifyOrderPayment = async (provider, order) => {
+  const references = order.paymentInfo.references?.length
+    ? [...order.paymentInfo.references].reverse()
+    : [order.paymentInfo.reference].filter(Boolean);
+
+  let outcome = null;
+  for (const reference of references) {
+    const result = await provider.verifyPayment(reference);
+    if (result.status === 'completed') return result;
+    if (!outcome || (result.status === 'pending' && outcome.status !== 'pending')) {
+      outcome = result;
+    }
+  }
+  return outcome;
+};
+
+// Names of the stores among storeIds that have the payment method switched off
+export const getStoresRejectingMethod = async (storeIds, method) => {
+  const settingKey = storeSettingKeys[method];
+  if (!settingKey || storeIds.length === 0) return [];
+
+  const stores = await Store.find({ _id: { $in: storeIds } }).select('name settings.payments');
+  return stores
+    .filter(store => !store.settings?.payments?.[settingKey])
+    .map(store => store.name);
+};
+
+// Record a verified payment result on the order; the caller saves it
+export const applyPaymentResult = (order, result, providerName) => {
+  // Webhooks and verifications can arrive more than once
+  if (order.paymentInfo.status === 'completed') return false;
+
+  if (result.status === 'failed') {
+    order.paymentInfo.status = 'failed';
+    return true;
+  }
+
+  if (result.status !== 'completed') return false;
+
+  if (result.currency !== PAYMENT_CURRENCY ||
+    Math.round(result.amount * 100) !== Math.round(order.pricing.total * 100)) {
+    console.error(`${providerName} amount mismatch for order ${order.orderNumber}: got ${result.amount} ${result.currency}`);
+    order.paymentInfo.status = 'failed';
+    return true;
+  }
+
+  order.paymentInfo.status = 'completed';
+  // Refunds go against the reference that was actually paid
+  order.paymentInfo.reference = result.reference || order.paymentInfo.reference;
+  order.paymentInfo.transactionId = result.transactionId;
+  order.paymentInfo.paidAt = result.paidAt || new Date();
+
+  // The held stock now belongs to the order. If the hold had already been released
+  // the order was cancelled and the payment is left for manual review below.
+  if (order.reservation?.status === 'held') {
+    order.reservation.status = 'committed';
+    order.reservation.committedAt = new Date();
+  } else if (order.reservation?.status === 'released') {
+    order.addTimelineNote('payment_after_release', `Payment received via ${providerName} after the stock hold was released; needs review`);
+  }
+
+  // Only pending fulfilments move forward; a payment on a cancelled order needs manual review
+  order.updateFulfilments({
+    status: 'confirmed',
+    message: `Payment received via ${providerName}`,
+    role: 'system',
+    fromStatuses: ['pending']
+  });
+  return true;
+};
@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+
+export const name = 'paystack';
+
+// Base URL can be pointed at a local stub server (see scripts/testPaystackStub.js)
+const getBaseUrl = () => process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co';
+
+const getSecretKey = () => {
+  if (!process.env.PAYSTACK_SECRET_KEY) {
+    throw new Error('PAYSTACK_SECRET_KEY is not configured');
+  }
+  return process.env.PAYSTACK_SECRET_KEY;
+};
+
+// Paystack works in the lowest currency unit (kobo)
+const toKobo = (amount) => Math.round(amount * 100);
+const fromKobo = (amount) => amount / 100;
+
+const paystackRequest = async (method, path, body) => {
+  const response = await fetch(`${getBaseUrl()}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${getSecretKey()}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const payload = await response.json().catch(() => ({}));
+
+  if (!response.ok || payload.status === false) {
+    const error = new Error(payload.message || `Paystack request failed with status ${response.status}`);
+    error.statusCode = 502;
+    error.providerStatus = response.status;
+    throw error;
+  }
+
+  return payload.data;
+};
+
+const toPaymentResult = (data) => ({
+  reference: data.reference,
+  transactionId: data.id ? String(data.id) : undefined,
+  amount: fromKobo(data.amount),
+  currency: data.currency,
+  status: data.status === 'success' ? 'completed'
+    : data.status === 'failed' ? 'failed'
+    : data.status === 'abandoned' ? 'abandoned'
+    : 'pending',
+  paidAt: data.paid_at || data.paidAt ? new Date(data.paid_at || data.paidAt) : undefined
+});
+
+// Start a Paystack transaction for an order and return the checkout details
+export const initializePayment = async (order, email) => {
+  const reference = `${order.orderNumber}-${Date.now()}`;
+
+  const data = await paystackRequest('POST', '/transaction/initialize', {
+    email,
+    amount: toKobo(order.pricing.total),
+    currency: 'NGN',
+    reference,
+    callback_url: process.env.PAYSTACK_CALLBACK_URL ||
+      `${process.env.FRONTEND_URL || 'http://localhost:5173'}/orders/${order._id}`,
+    metadata: {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber
+    }
+  });
+
+  return {
+    provider: name,
+    authorizationUrl: data.authorization_url,
+    accessCode: data.access_code,
+    reference: data.reference || reference
+  };
+};
+
+// Look up a transaction by reference
+export const verifyPayment = async (reference) => {
+  try {
+    const data = await paystackRequest('GET', `/transaction/verify/${encodeURIComponent(reference)}`);
+    return toPaymentResult(data);
+  } catch (error) {
+    // Paystack answers 400 "Transaction reference not found" for a reference never paid
+    if ([400, 404].includes(error.providerStatus)) {
+      return { reference, status: 'not_found' };
+    }
+    throw error;
+  }
+};
+
+// Refund all or part of a transaction; amount is in naira
+export const refundPayment = async (order, amount) => {
+  const data = await paystackRequest('POST', '/refund', {
+    transaction: order.paymentInfo.reference,
+    amount: amount !== undefined ? toKobo(amount) : undefined
+  });
+
+  return {
+    refundId: data.id ? String(data.id) : undefined,
+    amount: data.amount !== undefined ? fromKobo(data.amount) : amount,
+    // Paystack refunds go pending -> processing -> processed
+    status: data.status === 'processed' ? 'completed' : data.status === 'failed' ? 'failed' : 'pending'
+  };
+};
+
+// Check the x-paystack-signature header against the raw request body
+export const verifyWebhookSignature = (rawBody, signature) => {
+  if (!rawBody || !signature) return false;
+
+  const expected = crypto
+    .createHmac('sha512', getSecretKey())
+    .update(rawBody)
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+// Turn a webhook request into a payment result, or null for events we ignore
+export const parseWebhook = async (req) => {
+  if (!verifyWebhookSignature(req.rawBody, req.headers['x-paystack-signature'])) {
+    const error = new Error('Invalid signature');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const { event, data } = req.body;
+  if (event !== 'charge.success' || !data?.reference) {
+    return null;
+  }
+
+  return toPaymentResult(data);
+};
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import { restoreStock } from './inventory.js';
+import { releaseCoupon } from './coupons.js';
+import { getPaymentProvider, applyPaymentResult, verifyOrderPayment } from './payments/index.js';
+import { notifyOrderCancelled } from './notifications.js';
+import { publishOrderUpdated } from './events.js';
+import { emailOrderCancelled, emailPaymentReceived } from './orderEmails.js';
+
+// Read lazily so values from .env are picked up after dotenv has run
+const getReservationTtlMinutes = () => parseInt(process.env.RESERVATION_TTL_MINUTES) || 30;
+const getReservationGraceMinutes = () => parseInt(process.env.RESERVATION_GRACE_MINUTES) || 24 * 60;
+
+// Provider answers that mean the order was not paid and won't be
+const UNPAID_STATUSES = ['failed', 'abandoned', 'not_found'];
+
+// Start the hold on an order's stock; the caller saves the order
+export const holdReservation = (order) => {
+  order.reservation = {
+    status: 'held',
+    expiresAt: new Date(Date.now() + getReservationTtlMinutes() * 60 * 1000)
+  };
+};
+
+// Offline payments keep their stock straight away
+export const commitReservation = (order) => {
+  order.reservation = {
+    status: 'committed',
+    committedAt: new Date()
+  };
+};
+
+// Give the held stock back and cancel what hasn't been paid for: the stock, the
+// cancellation and the coupon release happen in one transaction. Saves the order.
+export const releaseReservation = async (order, { message, user } = {}) => {
+  if (order.reservation?.status !== 'held') return false;
+
+  // Holds are only placed by checkout, so the order always has fulfilments
+  const fulfilments = order.fulfilments.filter(fulfilment => ['pending', 'confirmed'].includes(fulfilment.status));
+  const lines = fulfilments.flatMap(fulfilment => order.getFulfilmentItems(fulfilment));
+
+  order.updateFulfilments({
+    status: 'cancelled',
+    message,
+    updatedBy: user,
+    role: 'system',
+    fulfilments
+  });
+  order.reservation.status = 'released';
+  order.reservation.releasedAt = new Date();
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await restoreStock(lines, session, { order: order._id, user, reason: message }, 'reservation_release');
+      if (order.status === 'cancelled') {
+        await releaseCoupon(order, session);
+      }
+      await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await notifyOrderCancelled(order, fulfilments, { cancelledBy: 'system', reason: message });
+  await emailOrderCancelled(order, fulfilments, { cancelledBy: 'system', reason: message });
+  publishOrderUpdated(order);
+  return true;
+};
+
+// Release the holds that have run out. The provider is asked first, so a payment
+// whose webhook is late still completes the order instead of cancelling it. Only a
+// definite "not paid" releases the hold: while the provider is unreachable or the
+// payment is still pending the order is left for the next sweep, up to the grace limit.
+export const releaseExpiredReservations = async () => {
+  const orders = await Order.find({
+    'reservation.status': 'held',
+    'reservation.expiresAt': { $lte: new Date() }
+  });
+
+  const graceCutoff = new Date(Date.now() - getReservationGraceMinutes() * 60 * 1000);
+
+  let released = 0;
+  for (const order of orders) {
+    try {
+      const provider = getPaymentProvider(order.paymentInfo.method);
+      if (provider && order.paymentInfo.reference) {
+        const pastGrace = order.reservation.expiresAt <= graceCutoff;
+
+        let result = null;
+        try {
+          result = await verifyOrderPayment(provider, order);
+        } catch (error) {
+          console.error(`${provider.name} verify error for order ${order.orderNumber}:`, error.message);
+          if (!pastGrace) continue;
+        }
+
+        if (result && applyPaymentResult(order, result, provider.name)) {
+          await order.save();
+          publishOrderUpdated(order);
+          if (order.paymentInfo.status === 'completed') {
+            await emailPaymentReceived(order);
+          }
+        }
+        // A confirmed payment has committed the hold
+        if (order.reservation.status !== 'held') continue;
+        if (result && !UNPAID_STATUSES.includes(result.status) && !pastGrace) continue;
+      }
+
+      if (await releaseReservation(order, { message: 'Payment was not completed in time' })) {
+        released += 1;
+      }
+    } catch (error) {
+      console.error(`Release reservation error for order ${order.orderNumber}:`, error);
+    }
+  }
+
+  return released;
+};
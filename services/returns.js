@@ -0,0 +1,126 @@
+import Order from '../models/Order.js';
+import { getPaymentProvider } from './payments/index.js';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Value of the returned lines, less their share of any item discount on the order
+export const calculateRefundAmount = (order, returnRequest) => {
+  const itemsValue = returnRequest.items.reduce((sum, line) => {
+    const item = order.items.id(line.item);
+    return sum + (item ? item.price * line.quantity : 0);
+  }, 0);
+
+  const { subtotal, discount } = order.pricing;
+  if (!discount || !subtotal || order.coupon?.type === 'free_shipping') {
+    return roundAmount(itemsValue);
+  }
+
+  return roundAmount(itemsValue * (subtotal - Math.min(discount, subtotal)) / subtotal);
+};
+
+// Move a return from one status to another with a conditional update, so of two
+// concurrent requests only one goes ahead. Returns false if it had already moved on.
+export const claimReturn = async (order, returnRequest, from, to, session) => {
+  const result = await Order.updateOne(
+    { _id: order._id, returns: { $elemMatch: { _id: returnRequest._id, status: from } } },
+    { $set: { 'returns.$.status': to } },
+    { session }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  returnRequest.status = to;
+  return true;
+};
+
+// Once every unit of every item in a fulfilment (or the whole order) is refunded,
+// move it to returned / refunded
+const markFullyReturned = (order, returnRequest, updatedBy) => {
+  const refundedQuantity = (itemId) => order.returns
+    .filter(request => request.status === 'refunded')
+    .reduce((sum, request) => sum + request.items
+      .filter(line => line.item.toString() === itemId.toString())
+      .reduce((lineSum, line) => lineSum + line.quantity, 0), 0);
+  const isFullyReturned = (items) => items.every(item => refundedQuantity(item._id) >= item.quantity);
+
+  const fulfilment = order.fulfilments.id(returnRequest.fulfilment);
+  if (fulfilment && isFullyReturned(order.getFulfilmentItems(fulfilment))) {
+    order.updateFulfilments({
+      status: 'returned',
+      message: 'All items returned',
+      updatedBy,
+      role: 'system',
+      fulfilments: [fulfilment]
+    });
+  }
+
+  if (isFullyReturned(order.items)) {
+    order.paymentInfo.status = 'refunded';
+  }
+};
+
+// Refund a received return through the order's payment provider. Offline payment
+// methods are left for the seller to settle and confirm with { manual: true }.
+// The return is claimed as refunding first, so the provider is only asked once; it
+// goes back to received if the refund fails. The caller saves the order.
+export const refundReturn = async (order, returnRequest, updatedBy, { manual = false } = {}) => {
+  const amount = returnRequest.refund?.amount ?? calculateRefundAmount(order, returnRequest);
+  const provider = getPaymentProvider(order.paymentInfo.method);
+
+  if (!provider && !manual) {
+    returnRequest.refund = { amount, status: 'manual' };
+    order.addTimelineNote('return_refund_pending', `Refund of ₦${amount} to be settled by the seller`, updatedBy);
+    return returnRequest;
+  }
+
+  if (provider && order.paymentInfo.status !== 'completed') {
+    const error = new Error('Order payment has not been completed, nothing to refund');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!await claimReturn(order, returnRequest, 'received', 'refunding')) {
+    const error = new Error('This return is already being refunded');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  if (provider) {
+    try {
+      const refund = await provider.refundPayment(order, amount);
+      if (refund.status === 'failed') {
+        throw new Error('Refund was declined by the payment provider');
+      }
+
+      // Providers may accept a refund and settle it later; it only counts as
+      // completed once they say so
+      returnRequest.refund = {
+        amount,
+        refundId: refund.refundId,
+        status: refund.status,
+        refundedAt: refund.status === 'completed' ? new Date() : undefined
+      };
+    } catch (error) {
+      returnRequest.status = 'received';
+      returnRequest.refund = { amount, status: 'failed' };
+      order.addTimelineNote('return_refund_failed', `Refund of ₦${amount} failed: ${error.message}`, updatedBy);
+      throw error;
+    }
+  } else {
+    returnRequest.refund = {
+      amount,
+      status: 'completed',
+      refundedAt: new Date()
+    };
+  }
+
+  const message = returnRequest.refund.status === 'completed'
+    ? `Refunded ₦${amount}`
+    : `Refund of ₦${amount} issued; the payment provider is still processing it`;
+  returnRequest.status = 'refunded';
+  returnRequest.timeline.push({ status: 'refunded', message, updatedBy });
+  order.paymentInfo.refundedAmount = roundAmount((order.paymentInfo.refundedAmount || 0) + amount);
+  order.addTimelineNote('return_refunded', `${message} for returned items`, updatedBy);
+  markFullyReturned(order, returnRequest, updatedBy);
+
+  return returnRequest;
+};
@@ -0,0 +1,19 @@
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Review from '../models/Review.js';
+
+// Most recent order of the buyer in which the product was delivered, or null
+export const findDeliveredOrder = async (userId, productId) => {
+  const orders = await Order.find({ buyer: userId, 'items.product': productId })
+    .select('items fulfilments status')
+    .sort({ createdAt: -1 });
+
+  return orders.find(order => order.hasDeliveredProduct(productId)) || null;
+};
+
+// Write the visible-review average and count back onto the product
+export const syncProductRating = async (productId) => {
+  const { average, count } = await Review.getProductSummary(productId);
+  await Product.updateOne({ _id: productId }, { 'rating.average': average, 'rating.count': count });
+  return { average, count };
+};
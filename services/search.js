@@ -0,0 +1,222 @@
+import Product from '../models/Product.js';
+import { escapeRegex } from '../utils/escape.js';
+import { toTrigrams } from '../utils/trigrams.js';
+
+// Share of the query's trigrams a product must contain to count as a fuzzy match
+const FUZZY_THRESHOLD = 0.4;
+
+// Added to the text score when ranking by relevance: up to RATING_WEIGHT for a
+// five-star rating, and SALES_WEIGHT for every tenfold increase in sales
+const RATING_WEIGHT = 0.3;
+const SALES_WEIGHT = 0.1;
+
+// Lower bounds of the price facet's buckets; the last one is open-ended
+const PRICE_BUCKETS = [0, 5000, 10000, 25000, 50000, 100000, 250000];
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+const MAX_BRANDS = 20;
+
+const SORTS = {
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  rating: { 'rating.average': -1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  popular: { totalSales: -1, createdAt: -1 },
+  relevance: { score: -1, createdAt: -1 }
+};
+
+export const SORT_OPTIONS = Object.keys(SORTS);
+
+// Case-insensitive exact match, so "electronics" in a URL finds "Electronics"
+export const matchExactly = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+// One filter per facet, so each facet can be counted without its own selection
+const buildFacetFilters = ({ category, brand, minPrice, maxPrice, rating }) => {
+  const filters = {};
+  if (category) {
+    filters.category = { category: matchExactly(category) };
+  }
+  if (brand) {
+    filters.brand = { brand: matchExactly(brand) };
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filters.price = { price: {} };
+    if (minPrice !== undefined) filters.price.price.$gte = minPrice;
+    if (maxPrice !== undefined) filters.price.price.$lte = maxPrice;
+  }
+  if (rating !== undefined) {
+    filters.rating = { 'rating.average': { $gte: rating } };
+  }
+  return filters;
+};
+
+// The selected filters, less the named facet's own
+const filtersExcept = (filters, facet) => Object.assign({}, ...Object.entries(filters)
+  .filter(([name]) => name !== facet)
+  .map(([, filter]) => filter));
+
+// Nested in $and so a filter can't replace a base filter on the same field
+const withFilters = (match, filters) => Object.keys(filters).length > 0
+  ? { ...match, $and: [filters] }
+  : match;
+
+const scoreExpression = {
+  $add: [
+    { $ifNull: ['$relevance', 0] },
+    { $multiply: [RATING_WEIGHT, { $divide: [{ $ifNull: ['$rating.average', 0] }, 5] }] },
+    { $multiply: [SALES_WEIGHT, { $log10: { $add: [{ $ifNull: ['$totalSales', 0] }, 1] } }] }
+  ]
+};
+
+const runSearch = async ({ match, relevance, minRelevance, facetFilters, sort, skip, limit }) => {
+  const scoring = [
+    ...(relevance ? [{ $addFields: { relevance } }] : []),
+    ...(minRelevance ? [{ $match: { relevance: { $gte: minRelevance } } }] : [])
+  ];
+  // Every selected filter goes in the leading $match, so results and the total can use
+  // indexes ($text has to be in the first stage)
+  const selected = { $match: withFilters(match, filtersExcept(facetFilters)) };
+
+  const [products, total, [facets]] = await Promise.all([
+    Product.aggregate([
+      selected,
+      ...scoring,
+      ...(sort === SORTS.relevance ? [{ $addFields: { score: scoreExpression } }] : []),
+      { $sort: sort },
+      { $skip: skip },
+      { $limit: limit },
+      { $project: { searchGrams: 0, score: 0, relevance: 0 } }
+    ]),
+    Product.aggregate([selected, ...scoring, { $count: 'count' }]),
+    // Each facet counts every selected filter except its own, so they get their own
+    // aggregation over the unfiltered matches
+    Product.aggregate([
+      { $match: match },
+      ...scoring,
+      {
+        $facet: {
+          categories: [
+            { $match: filtersExcept(facetFilters, 'category') },
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          brands: [
+            { $match: filtersExcept(facetFilters, 'brand') },
+            { $match: { brand: { $nin: [null, ''] } } },
+            { $group: { _id: '$brand', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: MAX_BRANDS }
+          ],
+          prices: [
+            { $match: filtersExcept(facetFilters, 'price') },
+            {
+              $bucket: {
+                groupBy: '$price',
+                boundaries: PRICE_BUCKETS,
+                default: PRICE_BUCKETS[PRICE_BUCKETS.length - 1],
+                output: { count: { $sum: 1 } }
+              }
+            }
+          ],
+          ratings: [
+            { $match: filtersExcept(facetFilters, 'rating') },
+            {
+              $group: Object.fromEntries([
+                ['_id', null],
+                ...RATING_THRESHOLDS.map(threshold => [
+                  `atLeast${threshold}`,
+                  { $sum: { $cond: [{ $gte: ['$rating.average', threshold] }, 1, 0] } }
+                ])
+              ])
+            }
+          ]
+        }
+      }
+    ])
+  ]);
+
+  const ratingCounts = facets.ratings[0] || {};
+  return {
+    products,
+    total: total[0]?.count || 0,
+    facets: {
+      categories: facets.categories.map(({ _id, count }) => ({ value: _id, count })),
+      brands: facets.brands.map(({ _id, count }) => ({ value: _id, count })),
+      prices: facets.prices.map(({ _id, count }) => ({
+        min: _id,
+        max: PRICE_BUCKETS[PRICE_BUCKETS.indexOf(_id) + 1] ?? null,
+        count
+      })),
+      ratings: RATING_THRESHOLDS.map(threshold => ({ min: threshold, count: ratingCounts[`atLeast${threshold}`] || 0 }))
+    }
+  };
+};
+
+// Search products within a base filter (e.g. active products of some sellers). Queries
+// go through the text index and, when that finds nothing (typically a misspelling),
+// fall back to trigram matching on names, brands and tags. Facet counts for category,
+// brand, price and rating each apply every selected filter except their own.
+export const searchProducts = async ({
+  filter = {},
+  search,
+  category,
+  brand,
+  minPrice,
+  maxPrice,
+  rating,
+  sort,
+  defaultSort = 'newest',
+  page = 1,
+  limit = 12,
+  sellerFields = 'name businessName rating'
+}) => {
+  // Aggregations aren't cast like queries, so ids given as strings would match nothing
+  const baseFilter = Product.find().cast(Product, filter);
+  const term = search?.trim();
+  // Own keys only, so a name like "constructor" can't pick up an Object.prototype member
+  const sortKey = Object.hasOwn(SORTS, sort ?? '') && (sort !== 'relevance' || term) ? sort : (term ? 'relevance' : defaultSort);
+  const options = {
+    facetFilters: buildFacetFilters({ category, brand, minPrice, maxPrice, rating }),
+    sort: SORTS[sortKey],
+    skip: (page - 1) * limit,
+    limit
+  };
+
+  let fuzzy = false;
+  let result;
+  if (!term) {
+    result = await runSearch({ ...options, match: baseFilter });
+  } else {
+    result = await runSearch({
+      ...options,
+      match: { ...baseFilter, $text: { $search: term } },
+      relevance: { $meta: 'textScore' }
+    });
+
+    const grams = toTrigrams(term);
+    if (result.total === 0 && grams.length > 0) {
+      fuzzy = true;
+      result = await runSearch({
+        ...options,
+        match: { ...baseFilter, searchGrams: { $in: grams } },
+        relevance: {
+          $divide: [{ $size: { $setIntersection: [{ $ifNull: ['$searchGrams', []] }, grams] } }, grams.length]
+        },
+        minRelevance: FUZZY_THRESHOLD
+      });
+    }
+  }
+
+  await Product.populate(result.products, { path: 'seller', select: sellerFields });
+
+  return {
+    ...result,
+    sort: sortKey,
+    fuzzy,
+    pagination: {
+      page,
+      limit,
+      total: result.total,
+      pages: Math.ceil(result.total / limit)
+    }
+  };
+};
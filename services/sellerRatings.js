@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Review from '../models/Review.js';
+import User from '../models/User.js';
+
+const STARS = [1, 2, 3, 4, 5];
+
+// Recompute the average from the running sum and count
+const refreshAverage = (sellerId) => User.updateOne({ _id: sellerId }, [{
+  $set: {
+    'rating.average': {
+      $cond: [
+        { $gt: ['$rating.count', 0] },
+        { $round: [{ $divide: ['$rating.sum', '$rating.count'] }, 1] },
+        0
+      ]
+    }
+  }
+}]);
+
+const ratingIncrements = (rating, direction) => ({
+  'rating.sum': rating * direction,
+  'rating.count': direction,
+  [`rating.distribution.${Math.round(rating)}`]: direction
+});
+
+// Apply a rating change to a seller: add a new rating, remove an old one, or both for an edit
+export const adjustSellerRating = async (sellerId, { add, remove } = {}) => {
+  const inc = {};
+  const merge = (increments) => Object.entries(increments).forEach(([key, value]) => {
+    inc[key] = (inc[key] || 0) + value;
+  });
+
+  if (add) merge(ratingIncrements(add, 1));
+  if (remove) merge(ratingIncrements(remove, -1));
+  if (Object.keys(inc).length === 0) return;
+
+  await User.updateOne({ _id: sellerId }, { $inc: inc });
+  await refreshAverage(sellerId);
+};
+
+// Count a buyer's post-delivery feedback towards the seller's rating
+export const recordOrderFeedback = async (sellerId, feedback) => {
+  await User.updateOne({ _id: sellerId }, {
+    $inc: {
+      ...ratingIncrements(feedback.rating, 1),
+      'rating.feedback.count': 1,
+      'rating.feedback.deliverySpeedSum': feedback.deliverySpeed,
+      'rating.feedback.accuracySum': feedback.accuracy
+    }
+  });
+  await refreshAverage(sellerId);
+};
+
+// Rebuild a seller's rating from scratch, for backfills or to repair drift
+export const recalculateSellerRating = async (sellerId) => {
+  const sellerObjectId = new mongoose.Types.ObjectId(sellerId);
+
+  const reviewGroups = await Review.aggregate([
+    { $match: { seller: sellerObjectId, isHidden: false } },
+    { $group: { _id: '$rating', count: { $sum: 1 }, sum: { $sum: '$rating' } } }
+  ]);
+
+  const feedbackEntries = await Order.aggregate([
+    { $match: { 'fulfilments.seller': sellerObjectId } },
+    { $unwind: '$fulfilments' },
+    { $match: { 'fulfilments.seller': sellerObjectId, 'fulfilments.feedback.createdAt': { $exists: true } } },
+    { $replaceRoot: { newRoot: '$fulfilments.feedback' } }
+  ]);
+
+  const rating = {
+    average: 0,
+    count: 0,
+    sum: 0,
+    distribution: Object.fromEntries(STARS.map(star => [star, 0])),
+    feedback: { count: 0, deliverySpeedSum: 0, accuracySum: 0 }
+  };
+
+  reviewGroups.forEach(group => {
+    rating.distribution[group._id] += group.count;
+    rating.count += group.count;
+    rating.sum += group.sum;
+  });
+
+  feedbackEntries.forEach(feedback => {
+    rating.distribution[Math.round(feedback.rating)] += 1;
+    rating.count += 1;
+    rating.sum += feedback.rating;
+    rating.feedback.count += 1;
+    rating.feedback.deliverySpeedSum += feedback.deliverySpeed;
+    rating.feedback.accuracySum += feedback.accuracy;
+  });
+
+  if (rating.count > 0) {
+    rating.average = Number((rating.sum / rating.count).toFixed(1));
+  }
+
+  await User.updateOne({ _id: sellerId }, { rating });
+  return rating;
+};
+
+// Public rating breakdown for a seller profile
+export const getSellerRatingBreakdown = async (seller, { recentLimit = 5 } = {}) => {
+  const { average, count, distribution, feedback } = seller.rating;
+  const averageOf = (sum) => feedback?.count > 0 ? Number((sum / feedback.count).toFixed(1)) : 0;
+
+  const recentFeedback = await Order.aggregate([
+    { $match: { 'fulfilments.seller': seller._id } },
+    { $unwind: '$fulfilments' },
+    { $match: { 'fulfilments.seller': seller._id, 'fulfilments.feedback.createdAt': { $exists: true } } },
+    { $sort: { 'fulfilments.feedback.createdAt': -1 } },
+    { $limit: recentLimit },
+    { $lookup: { from: 'users', localField: 'buyer', foreignField: '_id', as: 'buyer' } },
+    {
+      $project: {
+        _id: 0,
+        buyer: { $arrayElemAt: ['$buyer.name', 0] },
+        deliverySpeed: '$fulfilments.feedback.deliverySpeed',
+        accuracy: '$fulfilments.feedback.accuracy',
+        rating: '$fulfilments.feedback.rating',
+        comment: '$fulfilments.feedback.comment',
+        createdAt: '$fulfilments.feedback.createdAt'
+      }
+    }
+  ]);
+
+  const recentReviews = await Review.find({ seller: seller._id, isHidden: false })
+    .select('product user rating comment isVerifiedPurchase createdAt')
+    .populate('product', 'name images')
+    .populate('user', 'name avatar')
+    .sort({ createdAt: -1 })
+    .limit(recentLimit);
+
+  return {
+    average,
+    count,
+    distribution: Object.fromEntries(STARS.map(star => [star, distribution?.[star] || 0])),
+    feedback: {
+      count: feedback?.count || 0,
+      deliverySpeed: averageOf(feedback?.deliverySpeedSum || 0),
+      accuracy: averageOf(feedback?.accuracySum || 0)
+    },
+    recentFeedback,
+    recentReviews
+  };
+};
@@ -0,0 +1,57 @@
+import Store from '../models/Store.js';
+
+// Store that ships a fulfilment: the products' own store, else the seller's most recently updated one
+const resolveStore = async (fulfilment) => {
+  if (fulfilment.store) {
+    return Store.findById(fulfilment.store).select('name settings.shipping');
+  }
+  const [store] = await Store.findBySeller(fulfilment.seller);
+  return store || null;
+};
+
+// Work out shipping for each fulfilment on a new order from the buyer's address.
+// products maps product id -> product document. Sets fulfilment.shippingCost and
+// returns the fulfilments that cannot be delivered to this address.
+export const applyFulfilmentShipping = async (order, products) => {
+  const { state, location } = order.shippingAddress;
+  const undeliverable = [];
+
+  for (const fulfilment of order.fulfilments) {
+    const lines = order.getFulfilmentItems(fulfilment).map(item => ({
+      item,
+      product: products.get(item.product.toString())
+    }));
+    const store = await resolveStore(fulfilment);
+    const shipping = store?.settings?.shipping;
+
+    if (store && shipping?.enabled === false) {
+      undeliverable.push({ store: store._id, name: store.name, reason: 'shipping_disabled' });
+      continue;
+    }
+
+    // Stores without delivery zones only charge the per-product shipping costs
+    let zoneCost = 0;
+    const hasZones = (shipping?.zones || []).some(zone => zone.isActive !== false);
+    if (hasZones) {
+      const [cheapestZone] = store.findDeliveryZones({ state, location });
+      if (!cheapestZone) {
+        undeliverable.push({ store: store._id, name: store.name, reason: 'outside_delivery_zones' });
+        continue;
+      }
+      zoneCost = cheapestZone.cost || 0;
+    }
+
+    const chargedLines = lines.filter(({ product }) => !product.shipping?.freeShipping);
+    const subtotal = lines.reduce((sum, { item }) => sum + item.price * item.quantity, 0);
+    const threshold = shipping?.freeShippingThreshold;
+
+    if (chargedLines.length === 0 || (threshold && subtotal >= threshold)) {
+      fulfilment.shippingCost = 0;
+    } else {
+      fulfilment.shippingCost = zoneCost + chargedLines.reduce(
+        (sum, { product }) => sum + (product.shipping?.shippingCost || 0), 0);
+    }
+  }
+
+  return undeliverable;
+};
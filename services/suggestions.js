@@ -0,0 +1,136 @@
+import Product from '../models/Product.js';
+import Store from '../models/Store.js';
+import User from '../models/User.js';
+import SearchSuggestion from '../models/SearchSuggestion.js';
+import { escapeRegex } from '../utils/escape.js';
+import { normalizeWords } from '../utils/trigrams.js';
+
+// Read lazily so values from .env are picked up after dotenv has run
+const getCacheSeconds = () => parseInt(process.env.SEARCH_SUGGEST_CACHE_SECONDS) || 60;
+
+const CACHE_SIZE = 500;
+const MAX_KEY_WORDS = 8;
+const WRITE_BATCH_SIZE = 500;
+
+// Least recently used first; each value is { value, expiresAt }
+const cache = new Map();
+
+const toKeys = (text) => {
+  const words = normalizeWords(text).slice(0, MAX_KEY_WORDS);
+  return words.map((_, i) => words.slice(i).join(' '));
+};
+
+// Sales and views of active products, summed per value of one field
+const productTotalsBy = async (field) => {
+  const totals = await Product.aggregate([
+    { $match: { status: 'active', [field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${field}`, sales: { $sum: '$totalSales' }, views: { $sum: '$views' } } }
+  ]);
+  return new Map(totals.map(({ _id, sales, views }) => [_id.toString(), { sales, views }]));
+};
+
+const writeEntries = async (entries, builtAt) => {
+  if (entries.length === 0) return;
+  await SearchSuggestion.bulkWrite(entries.map(({ type, text, ref = null, slug, sales = 0, views = 0 }) => ({
+    updateOne: {
+      filter: { type, text, ref },
+      update: { $set: { keys: toKeys(text), slug, sales, views, builtAt } },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+// Rebuild the suggestion index from active products, published stores and sellers, then drop
+// entries for anything renamed, unpublished or removed since the last rebuild
+export const rebuildSuggestions = async () => {
+  const builtAt = new Date();
+
+  let batch = [];
+  const products = Product.find({ status: 'active' }).select('name totalSales views').lean().cursor();
+  for await (const product of products) {
+    batch.push({ type: 'product', text: product.name, ref: product._id, sales: product.totalSales, views: product.views });
+    if (batch.length === WRITE_BATCH_SIZE) {
+      await writeEntries(batch, builtAt);
+      batch = [];
+    }
+  }
+  await writeEntries(batch, builtAt);
+
+  const [brands, categories, storeTotals, sellerTotals] = await Promise.all([
+    productTotalsBy('brand'),
+    productTotalsBy('category'),
+    productTotalsBy('store'),
+    productTotalsBy('seller')
+  ]);
+
+  const stores = await Store.find({ isActive: true, 'settings.isPublished': true }).select('name slug performance.views').lean();
+  const sellers = await User.find({ type: 'seller', isActive: true, businessName: { $nin: [null, ''] } })
+    .select('businessName totalSales')
+    .lean();
+
+  const entries = [
+    ...[...brands].map(([text, totals]) => ({ type: 'brand', text, ...totals })),
+    ...[...categories].map(([text, totals]) => ({ type: 'category', text, ...totals })),
+    ...stores.map(store => ({
+      type: 'store',
+      text: store.name,
+      ref: store._id,
+      slug: store.slug,
+      sales: storeTotals.get(store._id.toString())?.sales || 0,
+      views: store.performance?.views || 0
+    })),
+    ...sellers.map(seller => ({
+      type: 'seller',
+      text: seller.businessName,
+      ref: seller._id,
+      sales: seller.totalSales || 0,
+      views: sellerTotals.get(seller._id.toString())?.views || 0
+    }))
+  ];
+  for (let i = 0; i < entries.length; i += WRITE_BATCH_SIZE) {
+    await writeEntries(entries.slice(i, i + WRITE_BATCH_SIZE), builtAt);
+  }
+
+  await SearchSuggestion.deleteMany({ builtAt: { $lt: builtAt } });
+};
+
+// Products, brands, categories, stores and sellers with a word starting with the
+// query, most sold (then most viewed) first. Recent prefixes are served from memory.
+export const getSuggestions = async (query, limit = 5) => {
+  const prefix = normalizeWords(query).join(' ');
+  const cacheKey = `${limit}:${prefix}`;
+
+  const cached = cache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    // Move to the back so hot prefixes outlive the rest
+    cache.delete(cacheKey);
+    cache.set(cacheKey, cached);
+    return cached.value;
+  }
+
+  const groups = prefix
+    ? await SearchSuggestion.aggregate([
+      // Keys are normalized to lowercase, so an anchored case-sensitive regex can use the index
+      { $match: { keys: { $regex: `^${escapeRegex(prefix)}` } } },
+      { $sort: { sales: -1, views: -1, text: 1 } },
+      { $group: { _id: '$type', entries: { $push: { ref: '$ref', text: '$text', slug: '$slug' } } } },
+      { $project: { entries: { $slice: ['$entries', limit] } } }
+    ])
+    : [];
+  const entriesOf = (type) => groups.find(group => group._id === type)?.entries || [];
+
+  const value = {
+    products: entriesOf('product').map(entry => ({ _id: entry.ref, name: entry.text })),
+    brands: entriesOf('brand').map(entry => entry.text),
+    categories: entriesOf('category').map(entry => entry.text),
+    stores: entriesOf('store').map(entry => ({ _id: entry.ref, name: entry.text, slug: entry.slug })),
+    sellers: entriesOf('seller').map(entry => ({ _id: entry.ref, businessName: entry.text }))
+  };
+
+  cache.delete(cacheKey);
+  cache.set(cacheKey, { value, expiresAt: Date.now() + getCacheSeconds() * 1000 });
+  if (cache.size > CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  return value;
+};
@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+
+// Read lazily so values from .env are picked up after dotenv has run
+const getAccessTokenExpire = () => process.env.JWT_ACCESS_EXPIRE || '15m';
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+const getGuestCartDays = () => parseInt(process.env.GUEST_CART_DAYS) || 30;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const tokenError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+// Short-lived JWT tied to a session
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: getAccessTokenExpire(),
+  });
+};
+
+// Refresh tokens are "<session id>.<random secret>" so the session can be found without a scan
+const newRefreshSecret = () => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return {
+    secret,
+    fields: {
+      refreshTokenHash: hashSecret(secret),
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000)
+    }
+  };
+};
+
+const tokensFor = (session, secret) => ({
+  token: signAccessToken(session.user.toString(), session._id.toString()),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: getAccessTokenExpire()
+});
+
+// Start a session for a device after login or registration
+export const createSession = async (userId, req) => {
+  const { secret, fields } = newRefreshSecret();
+  const session = await Session.create({
+    user: userId,
+    userAgent: req.headers['user-agent'],
+    ip: req.ip,
+    ...fields
+  });
+  return tokensFor(session, secret);
+};
+
+// Swap a refresh token for a new access/refresh pair. The swap is one conditional
+// update on the current token's hash, so a token can only be used once even by
+// concurrent requests. Presenting an old, already rotated token means it leaked,
+// so the whole session is revoked.
+export const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw tokenError('Invalid refresh token');
+  }
+
+  const next = newRefreshSecret();
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: hashSecret(secret),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        ...next.fields,
+        ip: req.ip,
+        ...(req.headers['user-agent'] ? { userAgent: req.headers['user-agent'] } : {})
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(sessionId);
+    if (!existing || !existing.isActive()) {
+      throw tokenError('Session has expired or been revoked');
+    }
+    await existing.revoke('refresh_token_reuse');
+    throw tokenError('Refresh token has already been used');
+  }
+
+  return { ...tokensFor(session, next.secret), userId: session.user };
+};
+
+// Verify an access token and its session; returns { userId, sessionId }
+export const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw tokenError('Not authorized, token failed');
+  }
+
+  if (!decoded.sid) {
+    throw tokenError('Not authorized, please sign in again');
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+    throw tokenError('Not authorized, session has been revoked');
+  }
+
+  return { userId: decoded.id, sessionId: decoded.sid };
+};
+
+// Revoke every active session of a user, optionally keeping one
+export const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+// Guest carts are identified by a signed token holding their guest id, so shoppers
+// can fill a cart before they have an account
+export const signCartToken = (guestId) => {
+  return jwt.sign({ cart: guestId }, process.env.JWT_SECRET, {
+    expiresIn: `${getGuestCartDays()}d`,
+  });
+};
+
+// Guest id from a cart token, or null if it isn't a valid one
+export const verifyCartToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return typeof decoded.cart === 'string' ? decoded.cart : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,89 @@
+import Product from '../models/Product.js';
+import Wishlist from '../models/Wishlist.js';
+import { enqueueJob } from './jobs/index.js';
+import { notify } from './notifications.js';
+
+// Price of the product and of each variant combination, to compare before and after an edit
+export const snapshotPrices = (product) => new Map([
+  ['', product.price],
+  ...product.variantCombinations.map(combination => [combination._id.toString(), product.getPriceFor(combination._id)])
+]);
+
+// Queue price-drop alerts when an edit lowered any price; the worker sends them
+export const queuePriceDropAlerts = async (product, before) => {
+  const after = snapshotPrices(product);
+  const dropped = [...after].some(([key, price]) => before.has(key) && price < before.get(key));
+  if (dropped) {
+    await enqueueJob('wishlist-price-drop', { product: product._id });
+  }
+};
+
+// Queue back-in-stock alerts for a product that sold out, or for one sold-out variant
+// combination of it; pass the session when the restock is part of a transaction
+export const queueBackInStockAlerts = async (product, variantId, session) => {
+  await enqueueJob('wishlist-back-in-stock', { product: product._id, variantId: variantId || null }, { session });
+};
+
+// Wishlist items for the product with the alert switched on
+const findAlertItems = async (productId, alert) => {
+  const wishlists = await Wishlist.find({
+    items: { $elemMatch: { product: productId, [`alerts.${alert}`]: true } }
+  });
+
+  return wishlists.flatMap(wishlist => wishlist.items
+    .filter(item => item.product.toString() === productId.toString() && item.alerts[alert])
+    .map(item => ({ wishlist, item })));
+};
+
+const describeProduct = (product, variantId) => {
+  const options = product.describeVariant(variantId);
+  return options ? `${product.name} (${Object.values(options).join(', ')})` : product.name;
+};
+
+// Tell buyers when an item they watch is cheaper than the price they last saw
+export const sendPriceDropAlerts = async (productId) => {
+  const product = await Product.findById(productId);
+  if (!product || product.status !== 'active') return;
+
+  for (const { wishlist, item } of await findAlertItems(product._id, 'priceDrop')) {
+    if (item.variantId && !product.getVariant(item.variantId)) continue;
+
+    const price = product.getPriceFor(item.variantId);
+    if (item.alertPrice === undefined || price >= item.alertPrice) continue;
+
+    await notify(wishlist.user, {
+      type: 'price_drop',
+      title: `Price drop on ${product.name}`,
+      message: `${describeProduct(product, item.variantId)} is now ₦${price}, down from ₦${item.alertPrice}.`,
+      data: { product: product._id, variantId: item.variantId, price }
+    });
+
+    await Wishlist.updateOne(
+      { _id: wishlist._id, 'items._id': item._id },
+      { 'items.$.alertPrice': price }
+    );
+  }
+};
+
+// Tell buyers when an item they watch can be bought again. When only one combination
+// was restocked, only the buyers watching that combination are told.
+export const sendBackInStockAlerts = async (productId, variantId) => {
+  const product = await Product.findById(productId);
+  if (!product || product.status !== 'active') return;
+
+  for (const { wishlist, item } of await findAlertItems(product._id, 'backInStock')) {
+    if (variantId && String(item.variantId) !== String(variantId)) continue;
+
+    const available = item.variantId
+      ? product.getAvailableQuantity(item.variantId)
+      : product.inventory.quantity;
+    if (available === 0) continue;
+
+    await notify(wishlist.user, {
+      type: 'back_in_stock',
+      title: `${product.name} is back in stock`,
+      message: `${describeProduct(product, item.variantId)} is available again.`,
+      data: { product: product._id, variantId: item.variantId }
+    });
+  }
+};
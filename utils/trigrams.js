@@ -0,0 +1,20 @@
+// Lowercase words with accents and punctuation stripped, e.g. "Café-Noir" -> ['cafe', 'noir']
+export const normalizeWords = (text) => String(text ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// Three-letter slices of each word, padded like pg_trgm so word starts weigh more,
+// e.g. "shoe" -> ['  s', ' sh', 'sho', 'hoe', 'oe ']
+export const toTrigrams = (text) => {
+  const grams = new Set();
+  for (const word of normalizeWords(text)) {
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  }
+  return [...grams];
+};
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { startWorker } from './services/jobs/index.js';
+import { setupJobs } from './services/jobs/handlers.js';
+import { getTransport } from './services/mail/index.js';
+
+// Load environment variables
+dotenv.config();
+
+// Background job worker: runs queued and recurring jobs outside the API server.
+// Start as many as needed; they share the queue safely.
+const start = async () => {
+  // Fail fast on a mail setup that would leak account links into the logs
+  getTransport();
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/amify');
+  console.log('✅ Connected to MongoDB');
+
+  await setupJobs();
+  const worker = startWorker();
+  console.log(`⚙️  Job worker ${worker.workerId} started`);
+
+  // Let running jobs finish before exiting
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, waiting for running jobs...`);
+    await worker.stop();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+};
+
+start().catch((err) => {
+  console.error('❌ Worker failed to start:', err);
+  process.exit(1);
+});